@@ -47,7 +47,8 @@ module.exports = function(config) {
         'node_modules/video.js/dist/video.js',
         'dist/videojs-contrib-ads.js',
         'dist/videojs-contrib-ads.css',
-        'test/dist/bundle.js'
+        'test/dist/bundle.js',
+        {pattern: 'test/integration/lib/*', included: false}
       ];
     }
   };
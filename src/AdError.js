@@ -0,0 +1,142 @@
+/*
+An error of the ad workflow. An AdError is attached as `adError` to every
+`adserror`, `adtimeout` and `adscanceled` event, and the most recent one is
+`player.ads.lastError`, so failures can be reported and grouped the same way
+for every ad plugin.
+
+Codes are VAST error codes. Ad plugins can give the `code`, `message` and
+`phase` in the event; otherwise they are derived from the event type and the
+state of the player.
+*/
+
+// The phases of the ad workflow an error can happen in
+export const PHASES = ['request', 'load', 'playback', 'timeout'];
+
+// VAST error codes used when an event does not have a code
+const DEFAULT_CODES = {
+  // Undefined error
+  request: 900,
+  // General linear error
+  load: 400,
+  // Problem displaying the media file
+  playback: 405,
+  // Undefined error
+  timeout: 900
+};
+
+const DEFAULT_MESSAGES = {
+  adserror: 'An ad error occurred',
+  adtimeout: 'The ad plugin did not start the ad break in time',
+  adscanceled: 'Ads were canceled'
+};
+
+/*
+ * Derives the phase of an event from its type and the state of the player.
+ */
+const getPhase = function(player, event) {
+  if (PHASES.indexOf(event.phase) !== -1) {
+    return event.phase;
+  }
+
+  if (event.type === 'adtimeout') {
+    return 'timeout';
+  }
+
+  if (event.type === 'adserror' && player.ads.inAdBreak()) {
+    return player.ads.ad ? 'playback' : 'load';
+  }
+
+  return 'request';
+};
+
+/*
+ * Whether the ad break ends, or no ads play, because of the event. An
+ * `adserror` or `adtimeout` during an ad break is not fatal if the ad break
+ * continues with the next ad of the pod.
+ */
+const getIsFatal = function(player, event) {
+  if (typeof event.isFatal === 'boolean') {
+    return event.isFatal;
+  }
+
+  if (event.type === 'adscanceled' || !player.ads.inAdBreak()) {
+    return true;
+  }
+
+  const continueBreak = typeof event.continueBreak === 'boolean' ?
+    event.continueBreak : player.ads.settings.continueBreakOnAdError;
+  const index = typeof event.indexInBreak === 'number' ? event.indexInBreak : undefined;
+
+  return !continueBreak || player.ads.pod.isExhausted(index);
+};
+
+class AdError {
+
+  /*
+   * @param {Object} options
+   * @param {string} options.type The event type: adserror, adtimeout or adscanceled
+   * @param {number} options.code A VAST error code
+   * @param {string} options.message
+   * @param {string} options.phase request, load, playback or timeout
+   * @param {Object} options.context The ad and ad break the error happened in
+   * @param {boolean} options.isFatal Whether the ad break ends or no ads play
+   * @param {Error} [options.cause] The error reported by the ad plugin, if any
+   */
+  constructor(options) {
+    this.name = 'AdError';
+    this.type = options.type;
+    this.code = options.code;
+    this.message = options.message;
+    this.phase = options.phase;
+    this.context = options.context;
+    this.isFatal = options.isFatal;
+    this.cause = options.cause || null;
+    this.timestamp = Date.now();
+  }
+
+  toString() {
+    return `AdError ${this.code} (${this.phase}): ${this.message}`;
+  }
+
+  /*
+   * Creates the AdError for an `adserror`, `adtimeout` or `adscanceled`
+   * event. The event can have an `adError` already, a `code`, a `message`,
+   * a `phase`, an `error`, and an `isFatal` flag.
+   * @param {Object} player The videojs player object
+   * @param {Object} event The event
+   * @return {AdError}
+   */
+  static fromEvent(player, event) {
+    if (event.adError instanceof AdError) {
+      return event.adError;
+    }
+
+    const phase = getPhase(player, event);
+    const cause = event.error instanceof Error ? event.error : null;
+    const ad = player.ads.ad;
+    const pod = player.ads.pod;
+
+    return new AdError({
+      type: event.type,
+      code: typeof event.code === 'number' ? event.code : DEFAULT_CODES[phase],
+      message: event.message || (cause && cause.message) || DEFAULT_MESSAGES[event.type],
+      phase,
+      context: {
+        state: player.ads._state ? player.ads._state.constructor._getName() : null,
+        adType: player.ads.adType,
+        inAdBreak: player.ads.inAdBreak(),
+        adId: ad ? ad.id : null,
+        adIndex: ad ? ad.index : null,
+        podCount: pod ? pod.count() : 0
+      },
+      isFatal: getIsFatal(player, event),
+      cause
+    });
+  }
+}
+
+// Transpiled classes can't extend built-in classes, so AdError inherits from
+// Error this way instead. `instanceof Error` is true for AdErrors.
+Object.setPrototypeOf(AdError.prototype, Error.prototype);
+
+export default AdError;
@@ -0,0 +1,113 @@
+/*
+This feature limits how much time ads can take, so an ad plugin can't keep the
+player in an ad break indefinitely:
+
+  * `maxBreakDuration` is the time in seconds from `adstart` until the ad break
+    is ended, whether ads are playing, loading or paused.
+  * `maxAdTimePerSession` is the number of seconds of ads that can play in the
+    session. The ad break that reaches it is ended, and the ad break policy
+    vetoes the breaks after it.
+
+When a limit is reached, `adbudgetexceeded` is triggered with the `reason`, the
+name of the option, and the ad break is ended with endLinearAdMode.
+
+The seconds of ads played in the session are `player.ads.adTimeWatched`. Like
+the ad break policy, the session is the life of the player.
+*/
+
+import {MAX_TIME_STEP} from './policy.js';
+
+export default function getAdBudget(player) {
+  let breakTimer = null;
+  let lastTime = null;
+
+  const adBudget = {
+
+    // Seconds of ads played in the current or last ad break
+    breakAdTime: 0,
+
+    /*
+     * Whether the ads of the session have used up `maxAdTimePerSession`.
+     * @return {boolean}
+     */
+    isSessionExhausted() {
+      const max = player.ads.settings.maxAdTimePerSession;
+
+      return typeof max === 'number' && player.ads.adTimeWatched >= max;
+    },
+
+    stopBreakTimer() {
+      player.clearTimeout(breakTimer);
+      breakTimer = null;
+    },
+
+    /*
+     * Ends the ad break because a limit was reached.
+     * @param {string} reason maxBreakDuration or maxAdTimePerSession
+     */
+    exceed_(reason) {
+      adBudget.stopBreakTimer();
+
+      if (!player.ads.inAdBreak()) {
+        return;
+      }
+
+      player.ads.debug(`Ad budget exceeded: ${reason}`);
+      player.trigger({
+        type: 'adbudgetexceeded',
+        reason,
+        breakAdTime: adBudget.breakAdTime,
+        adTimeWatched: player.ads.adTimeWatched
+      });
+
+      // The ad plugin may have ended the ad break in response
+      if (player.ads.inAdBreak()) {
+        player.ads.endLinearAdMode();
+      }
+    }
+  };
+
+  player.on('adstart', () => {
+    const maxBreakDuration = player.ads.settings.maxBreakDuration;
+
+    adBudget.breakAdTime = 0;
+    lastTime = null;
+    adBudget.stopBreakTimer();
+
+    if (typeof maxBreakDuration === 'number') {
+      breakTimer = player.setTimeout(() => {
+        breakTimer = null;
+        adBudget.exceed_('maxBreakDuration');
+      }, maxBreakDuration * 1000);
+    }
+  });
+
+  // Each ad starts from its own beginning
+  player.on('ads-ad-started', () => {
+    lastTime = null;
+  });
+
+  player.on('adtimeupdate', () => {
+    if (!player.ads.inAdBreak() || !player.ads.ad) {
+      return;
+    }
+
+    const currentTime = player.ads.ad.currentTime();
+    const step = currentTime - lastTime;
+
+    if (lastTime !== null && step > 0 && step <= MAX_TIME_STEP) {
+      adBudget.breakAdTime += step;
+      player.ads.adTimeWatched += step;
+    }
+
+    lastTime = currentTime;
+
+    if (adBudget.isSessionExhausted()) {
+      adBudget.exceed_('maxAdTimePerSession');
+    }
+  });
+
+  player.on('adend', adBudget.stopBreakTimer);
+
+  return adBudget;
+}
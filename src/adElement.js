@@ -0,0 +1,153 @@
+/*
+This feature plays linear ads in a video element of their own, so the content
+video element is never recycled for ads. Content stays paused, or muted behind
+the ad for live streams, and resuming content after an ad break does not need
+to reload the content source.
+*/
+
+import document from 'global/document';
+import videojs from 'video.js';
+
+// Media events of the ad element that are triggered on the player with the
+// "ad" prefix, the same way redispatch prefixes them for a recycled element.
+const EVENTS = [
+  'loadstart', 'loadedmetadata', 'loadeddata', 'canplay', 'durationchange',
+  'play', 'playing', 'pause', 'timeupdate', 'waiting', 'seeking', 'seeked',
+  'volumechange', 'ended', 'error'
+];
+
+export default function getAdElement(player) {
+  let el = null;
+
+  // Content behind a live ad is muted by contrib-ads, so the ad gets the
+  // volume from before the ad break
+  const shouldUsePreAdVolume = function() {
+    return player.ads.shouldPlayContentBehindAd(player) &&
+      typeof player.ads.preAdVolume_ === 'number';
+  };
+
+  const syncVolume = function() {
+    el.volume = shouldUsePreAdVolume() ? player.ads.preAdVolume_ : player.volume();
+    el.muted = player.muted();
+  };
+
+  const forward = function(e) {
+    if (player.ads.inAdBreak()) {
+      player.trigger({type: 'ad' + e.type, originalEvent: e});
+    }
+  };
+
+  const adElement = {
+
+    /*
+     * The ad video element. It is created and added to the player the first
+     * time it is needed.
+     */
+    el() {
+      if (!el) {
+        el = document.createElement('video');
+        el.className = 'vjs-ad-video';
+        el.setAttribute('playsinline', '');
+        el.setAttribute('webkit-playsinline', '');
+
+        EVENTS.forEach((type) => {
+          el.addEventListener(type, forward);
+        });
+
+        // Clicking the ad pauses or resumes it, like clicking content does
+        el.addEventListener('click', () => {
+          if (el.paused) {
+            adElement.play();
+          } else {
+            el.pause();
+          }
+        });
+
+        const tech = player.$('.vjs-tech');
+
+        player.el().insertBefore(el, tech ? tech.nextSibling : null);
+      }
+
+      return el;
+    },
+
+    /*
+     * Loads an ad and plays it. Call this during an ad break instead of
+     * changing the source of the player.
+     * @param {string|Object} source A URL or a source object with a `src`
+     */
+    src(source) {
+      const adEl = adElement.el();
+
+      syncVolume();
+      adEl.src = typeof source === 'string' ? source : source.src;
+      adElement.play();
+    },
+
+    play() {
+      const playPromise = adElement.el().play();
+
+      if (playPromise && playPromise.catch) {
+        playPromise.catch((error) => {
+          videojs.log.warn('Play promise rejected when playing ad', error);
+        });
+      }
+    },
+
+    pause() {
+      adElement.el().pause();
+    },
+
+    currentTime() {
+      return el ? el.currentTime : 0;
+    },
+
+    duration() {
+      return el ? el.duration : NaN;
+    },
+
+    /*
+     * Stops the ad and unloads it. This happens when the ad break ends.
+     */
+    reset() {
+      if (el) {
+        el.pause();
+        el.removeAttribute('src');
+      }
+    },
+
+    dispose() {
+      if (el && el.parentNode) {
+        el.parentNode.removeChild(el);
+      }
+      el = null;
+    }
+  };
+
+  // Content waits in its own element. Live content plays muted behind the ad
+  // instead, as in the default mode.
+  player.on('adstart', () => {
+    player.addClass('vjs-ad-element');
+
+    if (!player.ads.shouldPlayContentBehindAd(player) && !player.paused()) {
+      player.ads._bypassMiddleware(() => player.pause());
+    }
+  });
+
+  // The volume controls of the player set the volume of the content element,
+  // and the ad follows them
+  player.on('volumechange', () => {
+    if (el && player.ads.inAdBreak() && !shouldUsePreAdVolume()) {
+      syncVolume();
+    }
+  });
+
+  player.on('adend', () => {
+    adElement.reset();
+    player.removeClass('vjs-ad-element');
+  });
+
+  player.on('dispose', adElement.dispose);
+
+  return adElement;
+}
@@ -0,0 +1,159 @@
+/*
+This feature keeps an ad break from hanging when an ad does not start or stops
+making progress. The `timeout` settings only cover the time before
+startLinearAdMode; once the ad break has started:
+
+  * `adStartTimeout` is the time in ms from startLinearAdMode, or from an ad
+    that timed out, to `ads-ad-started`.
+  * `adStallTimeout` is the time in ms the current time of a playing ad can
+    stay the same. Time the ad is paused does not count.
+
+When one of them expires, `adtimeout` is triggered with the `reason`: the name
+of the setting. The states handle it like an ad error during the ad break, so
+the ad break ends, or continues with the next ad if ad breaks continue after
+ad errors. Neither applies to stitched ads.
+*/
+
+// VAST error codes for the timeouts
+const CODES = {
+  // Timeout of the media file
+  adStartTimeout: 402,
+  // Problem displaying the media file
+  adStallTimeout: 405
+};
+
+const MESSAGES = {
+  adStartTimeout: 'The ad did not start in time',
+  adStallTimeout: 'The ad stopped playing'
+};
+
+export default function getAdTimeouts(player) {
+  let startTimer = null;
+  let stallTimer = null;
+
+  // Is an ad playing, between `ads-ad-started` and its end?
+  let adPlaying = false;
+
+  // The current time of the ad when it last made progress
+  let lastTime = null;
+
+  const isEnabled = function(name) {
+    const settings = player.ads.settings;
+
+    return !settings.stitchedAds && typeof settings[name] === 'number' && settings[name] > 0;
+  };
+
+  const adCurrentTime = function() {
+    return player.ads.ad ? player.ads.ad.currentTime() : NaN;
+  };
+
+  const adTimeouts = {
+
+    /*
+     * Waits `adStartTimeout` for the next ad to start.
+     */
+    startWaiting() {
+      adTimeouts.stopWaiting();
+
+      if (isEnabled('adStartTimeout')) {
+        startTimer = player.setTimeout(() => {
+          startTimer = null;
+          adTimeouts.expire_('adStartTimeout');
+        }, player.ads.settings.adStartTimeout);
+      }
+    },
+
+    stopWaiting() {
+      player.clearTimeout(startTimer);
+      startTimer = null;
+    },
+
+    /*
+     * Waits `adStallTimeout` for the current ad to make progress.
+     */
+    startStallTimer() {
+      adTimeouts.stopStallTimer();
+
+      if (isEnabled('adStallTimeout')) {
+        stallTimer = player.setTimeout(() => {
+          stallTimer = null;
+          adTimeouts.expire_('adStallTimeout');
+        }, player.ads.settings.adStallTimeout);
+      }
+    },
+
+    stopStallTimer() {
+      player.clearTimeout(stallTimer);
+      stallTimer = null;
+    },
+
+    expire_(reason) {
+      adPlaying = false;
+      adTimeouts.stopWaiting();
+      adTimeouts.stopStallTimer();
+
+      if (!player.ads.inAdBreak()) {
+        return;
+      }
+
+      const event = {
+        type: 'adtimeout',
+        reason,
+        code: CODES[reason],
+        message: MESSAGES[reason]
+      };
+
+      // The ad that did not start is the one after the current ad
+      if (reason === 'adStartTimeout') {
+        event.indexInBreak = player.ads.pod.index + 1;
+      }
+
+      player.ads.debug(`Ad timed out: ${reason}`);
+      player.trigger(event);
+
+      // The ad break continues with the next ad, which has to start in time
+      if (player.ads.inAdBreak()) {
+        adTimeouts.startWaiting();
+      }
+    }
+  };
+
+  player.on('adstart', adTimeouts.startWaiting);
+
+  player.on('ads-ad-started', () => {
+    adTimeouts.stopWaiting();
+    adPlaying = true;
+    lastTime = adCurrentTime();
+    adTimeouts.startStallTimer();
+  });
+
+  player.on('adtimeupdate', () => {
+    const currentTime = adCurrentTime();
+
+    if (stallTimer !== null && currentTime !== lastTime) {
+      lastTime = currentTime;
+      adTimeouts.startStallTimer();
+    }
+  });
+
+  // A paused ad is not stalled
+  player.on('adpause', adTimeouts.stopStallTimer);
+  player.on('adplay', () => {
+    if (adPlaying && player.ads.inAdBreak()) {
+      adTimeouts.startStallTimer();
+    }
+  });
+
+  player.on(['ads-ad-ended', 'ads-ad-skipped'], () => {
+    adPlaying = false;
+    adTimeouts.stopStallTimer();
+  });
+
+  player.on('adend', () => {
+    adPlaying = false;
+    adTimeouts.stopWaiting();
+    adTimeouts.stopStallTimer();
+  });
+
+  return adTimeouts;
+}
@@ -3,6 +3,7 @@
  */
 
 import videojs from 'video.js';
+import States from './states.js';
 
 import {version as adsVersion} from '../package.json';
 
@@ -41,6 +42,10 @@ export default function getAds(player) {
     // Was play blocked by the plugin's playMiddleware feature?
     _playBlocked: false,
 
+    // Is the play middleware letting seeks and pauses by contrib-ads itself
+    // through? See _bypassMiddleware.
+    _middlewareBypassed: false,
+
     // Tracks whether play has been requested for this source,
     // either by the play method or user interaction
     _playRequested: false,
@@ -49,6 +54,29 @@ export default function getAds(player) {
     // This is experimental currently. Do not rely on its presence or behavior!
     adType: null,
 
+    // States that replace the registered states for this player only, by
+    // name. See extendState.
+    _states: {},
+
+    // Handlers that extend snapshot capture and restore. See addSnapshotHandler.
+    snapshotHandlers: [],
+
+    // Metadata for the ad that is currently playing, kept up to date by the
+    // pod feature. See the common interface documentation.
+    ad: null,
+
+    // Whether playback can start without a user gesture: unmuted, muted or
+    // none. It is null until the autoplay feature has detected it.
+    autoplayCapability: null,
+
+    // The AdError of the most recent adserror, adtimeout or adscanceled
+    // event, or null
+    lastError: null,
+
+    // Seconds of ads played in this session, kept up to date by the ad
+    // budget feature
+    adTimeWatched: 0,
+
     VERSION: adsVersion,
 
     reset() {
@@ -67,15 +95,48 @@ export default function getAds(player) {
       player.ads._playRequested = false;
     },
 
+    // The event or method currently being handled by the state, which is
+    // reported as the cause of state transitions.
+    _cause: null,
+
+    // Call fn with the given cause for any state transitions.
+    _withCause(cause, fn) {
+      const previousCause = player.ads._cause;
+
+      player.ads._cause = cause;
+      try {
+        fn();
+      } finally {
+        player.ads._cause = previousCause;
+      }
+    },
+
+    // Calls a function that seeks or pauses while content is about to play,
+    // which the play middleware would otherwise block
+    _bypassMiddleware(fn) {
+      const previous = player.ads._middlewareBypassed;
+
+      player.ads._middlewareBypassed = true;
+      try {
+        return fn();
+      } finally {
+        player.ads._middlewareBypassed = previous;
+      }
+    },
+
     // Call this when an ad response has been received and there are
     // linear ads ready to be played.
     startLinearAdMode() {
-      player.ads._state.startLinearAdMode();
+      player.ads._withCause('startLinearAdMode', () => {
+        player.ads._state.startLinearAdMode();
+      });
     },
 
     // Call this when a linear ad pod has finished playing.
     endLinearAdMode() {
-      player.ads._state.endLinearAdMode();
+      player.ads._withCause('endLinearAdMode', () => {
+        player.ads._state.endLinearAdMode();
+      });
     },
 
     // Call this when an ad response has been received but there are no
@@ -83,7 +144,19 @@ export default function getAds(player) {
     // This has no effect if we are already in an ad break.  Always
     // use endLinearAdMode() to exit from linear ad-playback state.
     skipLinearAdMode() {
-      player.ads._state.skipLinearAdMode();
+      player.ads._withCause('skipLinearAdMode', () => {
+        player.ads._state.skipLinearAdMode();
+      });
+    },
+
+    // Call this during content playback to ask for a midroll. Content pauses
+    // with a loading spinner and `readyformidroll` is triggered. The ad
+    // plugin starts the ad break with startLinearAdMode, or content resumes
+    // after `midrollTimeout`.
+    requestMidroll() {
+      player.ads._withCause('requestMidroll', () => {
+        player.ads._state.requestMidroll();
+      });
     },
 
     // With no arguments, returns a boolean value indicating whether or not
@@ -103,12 +176,68 @@ export default function getAds(player) {
       return this.settings.stitchedAds;
     },
 
+    // Registers a snapshot handler, an object with a `name` and any of these
+    // functions, which are called with the player and the snapshot:
+    // * capture: when the snapshot is taken. It can add fields to the snapshot.
+    // * restore: when the content is ready to be restored after the ad break.
+    // * resume: instead of the default seek and play. Return true if playback
+    //   was resumed, or the default resume still happens.
+    // A handler with the same name as an existing one replaces it.
+    addSnapshotHandler(handler) {
+      player.ads.removeSnapshotHandler(handler.name);
+      player.ads.snapshotHandlers.push(handler);
+    },
+
+    removeSnapshotHandler(name) {
+      player.ads.snapshotHandlers = player.ads.snapshotHandlers.filter((handler) => {
+        return handler.name !== name;
+      });
+    },
+
+    // Replaces a state for this player only. Other players keep using the
+    // registered state.
+    registerState(name, StateToRegister) {
+      if (typeof name !== 'string' || !name) {
+        throw new Error(`Illegal state name, "${name}"; must be a non-empty string.`);
+      }
+
+      player.ads._states[name] = StateToRegister;
+      player.ads.validateStates_();
+
+      return StateToRegister;
+    },
+
+    // Replaces a state for this player only, with a subclass that has the
+    // given methods. Each method can call the method it replaces with
+    // `this._super(...)`. The player leaves its current state as usual; the
+    // new class is used from the next transition to the state.
+    extendState(name, methods) {
+      const ParentState = States.getState(name, player);
+
+      if (!ParentState) {
+        throw new Error(`Unknown state "${name}"; it can not be extended.`);
+      }
+
+      player.ads._states[name] = States.extend(ParentState, methods);
+      player.ads.validateStates_();
+
+      return player.ads._states[name];
+    },
+
+    // Warns about problems with the states of the player once the plugin is
+    // initialized. States replaced during initialization are checked then.
+    validateStates_() {
+      if (player.ads._state) {
+        States.logProblems_(States.validate(player));
+      }
+    },
+
     // Returns whether the video element has been modified since the
-    // snapshot was taken.
+    // snapshot was taken. Always false when ads play in their own element.
     // We test both src and currentSrc because changing the src attribute to a URL that
     // AdBlocker is intercepting doesn't update currentSrc.
     videoElementRecycled() {
-      if (player.ads.shouldPlayContentBehindAd(player)) {
+      if (player.ads.shouldPlayContentBehindAd(player) || player.ads.adElement) {
         return false;
       }
 
@@ -0,0 +1,244 @@
+/*
+This feature detects whether the browser lets the player start playback without
+a user gesture, and applies the `autoplayPolicy` option to prerolls that start
+without one. Detection plays a silent source in a detached video element,
+first with sound and then muted, so the result is one of:
+
+  * unmuted: playback can start with sound
+  * muted: playback can only start muted
+  * none: playback can't start without a user gesture
+
+The result is `player.ads.autoplayCapability`, which is null until detection
+is done, and the `autoplaycapability` event is triggered when it is known.
+*/
+
+import document from 'global/document';
+import window from 'global/window';
+
+// A WAV file without samples. It loads without a network request and plays
+// without a sound.
+const SILENT_SOURCE = 'data:audio/wav;base64,' +
+  'UklGRiQAAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQAAAAA=';
+
+// Events that show the user interacted with the player
+const GESTURE_EVENTS = ['click', 'touchend', 'keydown'];
+
+export default function getAutoplay(player) {
+  let disposed = false;
+
+  // Incremented for each detection, so only the latest one is applied
+  let detections = 0;
+
+  // Did the user interact with the player?
+  let activated = false;
+
+  // Stops waiting for a click or for detection, if the player is waiting
+  let stopWaiting = null;
+
+  const autoplay = {
+
+    // Was the player muted by the "muted" autoplay policy?
+    muted: false,
+
+    /*
+     * Detects the autoplay capability. This happens when the plugin is
+     * initialized and can be repeated, for example after the user changed
+     * browser settings.
+     * @param {Function} [callback] Called with the capability
+     */
+    detect(callback) {
+      const el = autoplay.createTestElement_();
+      const detection = ++detections;
+
+      const done = function(capability) {
+        el.removeAttribute('src');
+
+        if (disposed || detection !== detections) {
+          return;
+        }
+
+        player.ads.debug(`Autoplay capability: ${capability}`);
+        player.ads.autoplayCapability = capability;
+        player.trigger({type: 'autoplaycapability', capability});
+
+        if (callback) {
+          callback(capability);
+        }
+      };
+
+      const tryPlay = function(muted, next) {
+        let playPromise;
+
+        el.muted = muted;
+
+        try {
+          playPromise = el.play();
+        } catch (e) {
+          playPromise = null;
+        }
+
+        // Browsers without play promises don't restrict autoplay
+        if (!playPromise || !playPromise.then) {
+          done('unmuted');
+          return;
+        }
+
+        playPromise.then(() => {
+          el.pause();
+          done(muted ? 'muted' : 'unmuted');
+        }, next);
+      };
+
+      tryPlay(false, () => {
+        tryPlay(true, () => done('none'));
+      });
+    },
+
+    /*
+     * Whether a preroll would start without a user gesture in a browser that
+     * doesn't allow it to play with sound. This is false while the
+     * capability is not known.
+     * @return {boolean}
+     */
+    isRestricted() {
+      const capability = player.ads.autoplayCapability;
+      const userActivation = window.navigator && window.navigator.userActivation;
+
+      if (activated || (userActivation && userActivation.hasBeenActive)) {
+        return false;
+      }
+
+      return capability === 'muted' || capability === 'none';
+    },
+
+    /*
+     * Decides how a preroll starts, using the `autoplayPolicy` option.
+     * @return {string|null} null to start the preroll normally, or the
+     *         policy to apply: muted, click or skip. A muted preroll that
+     *         can't autoplay even muted waits for a click instead.
+     */
+    check() {
+      const policy = player.ads.settings.autoplayPolicy;
+
+      if (!policy || !autoplay.isRestricted()) {
+        return null;
+      }
+
+      if (policy === 'muted' && player.ads.autoplayCapability === 'none') {
+        return 'click';
+      }
+
+      return policy;
+    },
+
+    /*
+     * Mutes the player so the preroll can autoplay. The unmute button is
+     * shown while the player stays muted.
+     */
+    mute() {
+      player.ads.debug('Muting the player to autoplay the preroll');
+      autoplay.muted = true;
+      player.muted(true);
+      player.addClass('vjs-ad-muted-autoplay');
+    },
+
+    /*
+     * Unmutes the player after a muted autoplay.
+     */
+    unmute() {
+      autoplay.muted = false;
+      player.removeClass('vjs-ad-muted-autoplay');
+      player.muted(false);
+    },
+
+    /*
+     * Calls back once the autoplay capability is known, right away if it is
+     * already. A preroll can be ready before detection is done, and the
+     * policy can only be applied after it.
+     * @param {Function} callback Called when the capability is known
+     */
+    whenDetected(callback) {
+      if (player.ads.autoplayCapability !== null) {
+        callback();
+        return;
+      }
+
+      player.ads.debug('Waiting for autoplay detection');
+
+      const onCapability = function() {
+        stopWaiting = null;
+        callback();
+      };
+
+      stopWaiting = function() {
+        player.off('autoplaycapability', onCapability);
+      };
+
+      player.one('autoplaycapability', onCapability);
+    },
+
+    /*
+     * Waits for the user to click the player before the preroll starts.
+     * `adautoplayblocked` is triggered so the integrator can prompt the user.
+     * @param {Function} callback Called after the click
+     */
+    waitForClick(callback) {
+      player.ads.debug('Waiting for a click to start the preroll');
+      player.addClass('vjs-ad-click-to-play');
+      player.trigger('adautoplayblocked');
+
+      const onGesture = function() {
+        autoplay.cancelWait();
+        callback();
+      };
+
+      stopWaiting = function() {
+        player.off(GESTURE_EVENTS, onGesture);
+        player.removeClass('vjs-ad-click-to-play');
+      };
+
+      player.on(GESTURE_EVENTS, onGesture);
+    },
+
+    /*
+     * Stops waiting for a click or for detection without starting the
+     * preroll.
+     */
+    cancelWait() {
+      if (stopWaiting) {
+        stopWaiting();
+        stopWaiting = null;
+      }
+    },
+
+    createTestElement_() {
+      const el = document.createElement('video');
+
+      el.setAttribute('playsinline', '');
+      el.setAttribute('webkit-playsinline', '');
+      el.src = SILENT_SOURCE;
+
+      return el;
+    }
+  };
+
+  player.on(GESTURE_EVENTS, () => {
+    activated = true;
+  });
+
+  // The player was unmuted some other way, such as with the volume control
+  player.on('volumechange', () => {
+    if (autoplay.muted && !player.muted()) {
+      autoplay.muted = false;
+      player.removeClass('vjs-ad-muted-autoplay');
+    }
+  });
+
+  player.on(['contentchanged', 'dispose'], autoplay.cancelWait);
+
+  player.on('dispose', () => {
+    disposed = true;
+  });
+
+  return autoplay;
+}
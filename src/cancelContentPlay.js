@@ -1,5 +1,8 @@
 import videojs from 'video.js';
 
+// Class that hides the content video element while it is primed
+const HIDDEN_CLASS = 'vjs-ad-content-hidden';
+
 export default function initCancelContentPlay(player, debug) {
   if (debug) {
     videojs.log('Using cancelContentPlay to block content playback');
@@ -7,6 +10,16 @@ export default function initCancelContentPlay(player, debug) {
 
   // Listen to play events to "cancel" them afterward
   player.on('play', cancelContentPlay);
+
+  // The primed element is shown again once an ad is on screen, rather than when
+  // the ad break starts and the ad is still loading, or when content plays
+  // without a preroll.
+  player.on(['adplaying', 'ads-ad-started'], revealContent);
+  player.on('adstatechange', function() {
+    if (!this.ads._shouldBlockPlay) {
+      revealContent.call(this);
+    }
+  });
 }
 
 /*
@@ -14,8 +27,42 @@ This feature makes sure the player is paused during ad loading.
 
 It does this by pausing the player immediately after a "play" where ads will be requested,
 then signalling that we should play after the ad is done.
+
+With the "prime" strategy of the `mobilePlayBlocking` option, the content video element
+is also hidden and muted before it is paused. The play still happens in the user gesture,
+which primes the element so that ads and content can play later, but the first frame of
+content is not shown and no content audio is heard before the preroll.
 */
 
+function revealContent() {
+  // this function is in the player's context
+
+  if (!this.hasClass(HIDDEN_CLASS)) {
+    return;
+  }
+
+  this.ads.debug('Showing the primed content element');
+  this.removeClass(HIDDEN_CLASS);
+
+  // The player stays muted for a muted autoplay
+  if (!this.ads._mutedBeforePriming && !(this.ads.autoplay && this.ads.autoplay.muted)) {
+    this.muted(false);
+  }
+}
+
+function primeContent() {
+  // this function is in the player's context
+
+  if (this.hasClass(HIDDEN_CLASS)) {
+    return;
+  }
+
+  this.ads.debug('Priming the content element while play is blocked');
+  this.ads._mutedBeforePriming = this.muted();
+  this.addClass(HIDDEN_CLASS);
+  this.muted(true);
+}
+
 function cancelContentPlay() {
   // this function is in the player's context
 
@@ -26,6 +73,10 @@ function cancelContentPlay() {
     return;
   }
 
+  if (this.ads.settings.mobilePlayBlocking === 'prime') {
+    primeContent.call(this);
+  }
+
   // pause playback so ads can be handled.
   if (!this.paused()) {
     this.ads.debug('Playback was canceled by cancelContentPlay');
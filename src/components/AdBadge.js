@@ -0,0 +1,45 @@
+import videojs from 'video.js';
+
+const Component = videojs.getComponent('Component');
+
+/*
+ * A label that marks the content as an ad and shows the position of the
+ * current ad in the ad break, such as "Ad 1 of 3".
+ */
+class AdBadge extends Component {
+
+  constructor(player, options) {
+    super(player, options);
+
+    this.hide();
+    this.on(player, 'ads-ad-started', this.update);
+    this.on(player, 'adend', this.hide);
+  }
+
+  createEl() {
+    return super.createEl('div', {
+      className: 'vjs-ad-badge'
+    });
+  }
+
+  update() {
+    const ads = this.player().ads;
+
+    if (!ads.inAdBreak() || !ads.ad) {
+      this.hide();
+      return;
+    }
+
+    const count = ads.pod.count();
+    const text = count > 1 ?
+      this.localize('Ad {1} of {2}', [ads.pod.index + 1, count]) :
+      this.localize('Ad');
+
+    videojs.dom.textContent(this.el_, text);
+    this.show();
+  }
+}
+
+videojs.registerComponent('AdBadge', AdBadge);
+
+export default AdBadge;
@@ -0,0 +1,63 @@
+import window from 'global/window';
+import videojs from 'video.js';
+
+const ClickableComponent = videojs.getComponent('ClickableComponent');
+
+/*
+ * A transparent layer over the ad that opens the click-through URL of the
+ * current ad and triggers `ads-click`. It is only shown for ads that have a
+ * `clickThrough` URL.
+ */
+class AdClickThrough extends ClickableComponent {
+
+  constructor(player, options) {
+    super(player, options);
+
+    this.controlText(this.localize('Learn More'));
+    this.hide();
+    this.on(player, 'ads-ad-started', this.update);
+    this.on(player, ['ads-ad-ended', 'ads-ad-skipped', 'adend'], this.hide);
+  }
+
+  buildCSSClass() {
+    return `vjs-ad-click-through ${super.buildCSSClass()}`;
+  }
+
+  update() {
+    const ads = this.player().ads;
+
+    if (!ads.inAdBreak() || !ads.ad || !ads.ad.clickThrough) {
+      this.hide();
+      return;
+    }
+
+    this.show();
+  }
+
+  /*
+   * Opens the click-through URL in a new window and pauses the ad, so the
+   * user can pick up where they left off.
+   */
+  handleClick() {
+    const player = this.player();
+    const ad = player.ads.ad;
+
+    if (!ad || !ad.clickThrough) {
+      return;
+    }
+
+    // The landing page must not get access to this page through window.opener
+    window.open(ad.clickThrough, '_blank', 'noopener');
+    player.trigger({type: 'ads-click', ad});
+
+    if (player.ads.adElement) {
+      player.ads.adElement.pause();
+    } else {
+      player.pause();
+    }
+  }
+}
+
+videojs.registerComponent('AdClickThrough', AdClickThrough);
+
+export default AdClickThrough;
@@ -0,0 +1,51 @@
+import videojs from 'video.js';
+
+const Component = videojs.getComponent('Component');
+
+/*
+ * Shows the time left in the ad break, or in the current ad if the duration
+ * of the ad break is not known.
+ */
+class AdRemainingTime extends Component {
+
+  constructor(player, options) {
+    super(player, options);
+
+    this.hide();
+    this.on(player, ['ads-ad-started', 'adtimeupdate'], this.update);
+    this.on(player, 'adend', this.hide);
+  }
+
+  createEl() {
+    return super.createEl('div', {
+      className: 'vjs-ad-remaining-time'
+    });
+  }
+
+  update() {
+    const ads = this.player().ads;
+
+    if (!ads.inAdBreak() || !ads.ad) {
+      this.hide();
+      return;
+    }
+
+    let remaining = ads.pod.remainingTime();
+
+    if (!isFinite(remaining)) {
+      remaining = ads.pod.adRemainingTime();
+    }
+
+    if (!isFinite(remaining)) {
+      this.hide();
+      return;
+    }
+
+    videojs.dom.textContent(this.el_, videojs.formatTime(Math.ceil(remaining)));
+    this.show();
+  }
+}
+
+videojs.registerComponent('AdRemainingTime', AdRemainingTime);
+
+export default AdRemainingTime;
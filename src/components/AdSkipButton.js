@@ -0,0 +1,62 @@
+import videojs from 'video.js';
+
+const Button = videojs.getComponent('Button');
+
+/*
+ * A button that skips the current ad. It is only shown for ads with a
+ * `skipOffset`, and counts down until the ad can be skipped.
+ */
+class AdSkipButton extends Button {
+
+  constructor(player, options) {
+    super(player, options);
+
+    this.hide();
+    this.on(player, ['ads-ad-started', 'adtimeupdate'], this.update);
+    this.on(player, ['ads-ad-ended', 'ads-ad-skipped', 'adend'], this.hide);
+  }
+
+  buildCSSClass() {
+    return `vjs-ad-skip-button ${super.buildCSSClass()}`;
+  }
+
+  createEl() {
+    const el = super.createEl();
+
+    this.textEl_ = videojs.dom.createEl('span', {
+      className: 'vjs-ad-skip-text'
+    });
+    el.appendChild(this.textEl_);
+
+    return el;
+  }
+
+  /*
+   * Shows the countdown, or that the ad can be skipped now.
+   */
+  update() {
+    const pod = this.player().ads.pod;
+
+    if (!this.player().ads.inAdBreak() || !pod.isSkippable()) {
+      this.hide();
+      return;
+    }
+
+    const canSkip = pod.canSkip();
+    const text = canSkip ? this.localize('Skip Ad') :
+      this.localize('Skip in {1}', [Math.ceil(pod.skipTimeRemaining())]);
+
+    this.toggleClass('vjs-ad-skippable', canSkip);
+    videojs.dom.textContent(this.textEl_, text);
+    this.controlText(text);
+    this.show();
+  }
+
+  handleClick() {
+    this.player().ads.pod.skipAd();
+  }
+}
+
+videojs.registerComponent('AdSkipButton', AdSkipButton);
+
+export default AdSkipButton;
@@ -0,0 +1,55 @@
+import videojs from 'video.js';
+
+const Button = videojs.getComponent('Button');
+
+/*
+ * A "Tap to unmute" prompt shown during ads that were muted to autoplay with
+ * the "muted" autoplay policy. It is hidden once the player is unmuted.
+ */
+class AdUnmuteButton extends Button {
+
+  constructor(player, options) {
+    super(player, options);
+
+    this.hide();
+    this.controlText(this.localize('Tap to unmute'));
+    this.on(player, ['adstart', 'volumechange'], this.update);
+    this.on(player, 'adend', this.hide);
+  }
+
+  buildCSSClass() {
+    return `vjs-ad-unmute-button ${super.buildCSSClass()}`;
+  }
+
+  createEl() {
+    const el = super.createEl();
+
+    const textEl = videojs.dom.createEl('span', {
+      className: 'vjs-ad-unmute-text'
+    });
+
+    videojs.dom.textContent(textEl, this.localize('Tap to unmute'));
+    el.appendChild(textEl);
+
+    return el;
+  }
+
+  update() {
+    const ads = this.player().ads;
+
+    if (ads.inAdBreak() && ads.autoplay.muted) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  handleClick() {
+    this.player().ads.autoplay.unmute();
+    this.hide();
+  }
+}
+
+videojs.registerComponent('AdUnmuteButton', AdUnmuteButton);
+
+export default AdUnmuteButton;
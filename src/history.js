@@ -0,0 +1,40 @@
+/*
+This feature records the recent transitions of the ad state machine, to help
+find out how a player got into its current state.
+*/
+
+// The number of transitions kept when `stateHistorySize` is not a number
+const DEFAULT_SIZE = 50;
+
+export default function getHistory(player) {
+  const entries = [];
+
+  player.on('adstatechange', (e) => {
+    entries.push({
+      timestamp: Date.now(),
+      from: e.from,
+      to: e.to,
+      cause: e.cause
+    });
+
+    // Only the last `stateHistorySize` transitions are kept
+    let size = parseInt(player.ads.settings.stateHistorySize, 10);
+
+    if (isNaN(size)) {
+      size = DEFAULT_SIZE;
+    }
+
+    while (entries.length > Math.max(0, size)) {
+      entries.shift();
+    }
+  });
+
+  /*
+   * Returns the recent state transitions, oldest first. Each has a
+   * `timestamp`, the `from` and `to` state names and the `cause`: the event or
+   * method that led to the transition, or null if it is not known.
+   */
+  return function history() {
+    return entries.slice();
+  };
+}
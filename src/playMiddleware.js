@@ -29,12 +29,94 @@ obj.isMiddlewareMediatorSupported = function() {
   return false;
 };
 
+/**
+ * Whether content is about to play after the player requested it: while
+ * waiting for a preroll or postroll to start, or while content resumes after
+ * an ad break. Seeks and pauses during these transitions race with the ad
+ * plugin and contrib-ads, so they are blocked.
+ */
+const isAdTransition = function(player) {
+  const ads = player.ads;
+
+  if (!ads || !ads.settings || ads._middlewareBypassed) {
+    return false;
+  }
+
+  return (ads.isInAdMode() && ads.isWaitingForAdBreak()) || ads.isContentResuming();
+};
+
+/**
+ * Whether an ad plays in its own element, while the content element waits.
+ * Play and pause calls are meant for the ad then, not for content.
+ */
+const isAdElementPlayback = function(player) {
+  const ads = player.ads;
+
+  return Boolean(ads && ads.settings && ads.adElement && !ads._middlewareBypassed &&
+    ads.inAdBreak());
+};
+
+/**
+ * Whether a source is the content source that the snapshot is restoring.
+ */
+const isSnapshotSource = function(player, srcObj) {
+  const snapshot = player.ads.snapshot;
+
+  return Boolean(snapshot && snapshot.sources && snapshot.sources.some((source) => {
+    return source.src === srcObj.src;
+  }));
+};
+
 obj.playMiddleware = function(player) {
   return {
     setSource(srcObj, next) {
+      // A new source while content resumes would be replaced by the snapshot
+      // restore, so it is set once content has resumed
+      if (player.ads && player.ads.settings && player.ads.isContentResuming() &&
+          !isSnapshotSource(player, srcObj)) {
+        player.ads.debug('Delaying a source change until content has resumed');
+
+        const onStateChange = function() {
+          if (!player.ads.isContentResuming()) {
+            player.off('adstatechange', onStateChange);
+            next(null, srcObj);
+          }
+        };
+
+        player.on('adstatechange', onStateChange);
+        return;
+      }
+
       next(null, srcObj);
     },
+    setCurrentTime(time) {
+      if (isAdTransition(player)) {
+        player.ads.debug(`Using playMiddleware to block a seek to ${time}`);
+        player.trigger({type: 'adseekblocked', time});
+        return player.tech(true).currentTime();
+      }
+
+      return time;
+    },
+    callPause() {
+      if (isAdElementPlayback(player)) {
+        player.ads.debug('Using playMiddleware to pause the ad element');
+        player.ads.adElement.pause();
+        return videojsReference.middleware.TERMINATOR;
+      }
+
+      if (isAdTransition(player)) {
+        player.ads.debug('Using playMiddleware to block a pause');
+        return videojsReference.middleware.TERMINATOR;
+      }
+    },
     callPlay() {
+      if (isAdElementPlayback(player)) {
+        player.ads.debug('Using playMiddleware to play the ad element');
+        player.ads.adElement.play();
+        return videojsReference.middleware.TERMINATOR;
+      }
+
       // Block play calls while waiting for an ad, only if this is an
       // ad supported player
       if (player.ads && player.ads._shouldBlockPlay === true) {
@@ -15,6 +15,24 @@ import cueTextTracks from './cueTextTracks.js';
 import initCancelContentPlay from './cancelContentPlay.js';
 import playMiddlewareFeature from './playMiddleware.js';
 import register from './register.js';
+import getVast from './vast.js';
+import getSchedule from './schedule.js';
+import getPod from './pod.js';
+import getProgress from './progress.js';
+import getTracking from './tracking.js';
+import getAdElement from './adElement.js';
+import getHistory from './history.js';
+import getPolicy from './policy.js';
+import getAdTimeouts from './adTimeouts.js';
+import getAdBudget from './adBudget.js';
+import getAutoplay from './autoplay.js';
+import AdError from './AdError.js';
+
+import './components/AdBadge.js';
+import './components/AdClickThrough.js';
+import './components/AdRemainingTime.js';
+import './components/AdSkipButton.js';
+import './components/AdUnmuteButton.js';
 
 import States from './states.js';
 import './states/abstract/State.js';
@@ -49,6 +67,18 @@ const defaults = {
   // linear ad mode after `readyforpostroll` has fired.
   postrollTimeout: undefined,
 
+  // Maximum amount of time in ms to wait for the ad implementation to start
+  // linear ad mode after `readyformidroll` has fired. Defaults to the
+  // standard timeout.
+  midrollTimeout: undefined,
+
+  // Maximum amount of time in ms from startLinearAdMode to `ads-ad-started`,
+  // and the amount of time in ms an ad can play without making progress.
+  // When they expire, `adtimeout` is triggered with the `reason` and the
+  // ad break ends or moves on to the next ad. null means no limit.
+  adStartTimeout: null,
+  adStallTimeout: null,
+
   // When truthy, instructs the plugin to output additional information about
   // plugin state to the video.js log. On most devices, the video.js log is
   // the same as the developer console.
@@ -65,7 +95,96 @@ const defaults = {
   // If set to true, content will play muted behind ads on supported platforms. This is
   // to support ads on video metadata cuepoints during a live stream. It also results in
   // more precise resumes after ads during a live stream.
-  liveCuePoints: true
+  liveCuePoints: true,
+
+  // Keep the ad break going after an `adserror` during the break, so the ad
+  // plugin can play the next ad of the pod. An `adserror` event can also ask
+  // for this with `continueBreak: true`.
+  continueBreakOnAdError: false,
+
+  // Ad break policy. A midroll is deferred until minBreakInterval seconds of
+  // content have played since the last break. Breaks over maxBreaksPerHour,
+  // and prerolls over maxPrerollsPerSession, are vetoed. null means no limit.
+  minBreakInterval: 0,
+  maxBreaksPerHour: null,
+  maxPrerollsPerSession: null,
+
+  // Ad budget. An ad break is ended maxBreakDuration seconds after it started,
+  // or once maxAdTimePerSession seconds of ads have played in the session.
+  // null means no limit.
+  maxBreakDuration: null,
+  maxAdTimePerSession: null,
+
+  // Number of state transitions kept by player.ads.history()
+  stateHistorySize: 50,
+
+  // Maximum number of VAST wrappers that player.ads.vast follows before
+  // giving up on an ad.
+  vastWrapperLimit: 5,
+
+  // What to do with scheduled midrolls that the user seeked past. 'skip' never
+  // plays them, 'playLast' plays the last one and 'playAll' plays all of them,
+  // starting at the seek target.
+  seekPastBreaks: 'playLast',
+
+  // Play the scheduled midrolls chosen by seekPastBreaks at their own offset,
+  // then resume content at the seek target, rather than playing them at the
+  // seek target
+  snapBack: false,
+
+  // Number of times player.ads.tracking retries a tracking request that
+  // failed, and the delay in ms before the first retry. The delay grows
+  // with each retry.
+  trackingRetries: 2,
+  trackingRetryDelay: 1000,
+
+  // How the content is restored after an ad break when the content video
+  // element was used for ads: after the content source is reloaded, wait up
+  // to snapshotRestoreTimeout ms for `contentcanplay`, then check whether the
+  // content is seekable up to snapshotRestoreAttempts times, every
+  // snapshotRestoreInterval ms, before seeking back.
+  snapshotRestoreTimeout: 2000,
+  snapshotRestoreAttempts: 20,
+  snapshotRestoreInterval: 50,
+
+  // Let seeks through during ad breaks. By default, seeks during ad breaks are
+  // blocked and trigger `adseekblocked`.
+  allowSeekingDuringAds: false,
+
+  // How content playback is blocked on browsers without play middleware, such
+  // as mobile browsers. "pause" pauses content after it starts. "prime" also
+  // hides and mutes the content element so no content is seen before prerolls.
+  mobilePlayBlocking: 'pause',
+
+  // What happens to a preroll that would start without a user gesture in a
+  // browser that does not allow it to play with sound. "muted" plays it
+  // muted with an unmute button, "click" waits for a click and "skip" plays
+  // content instead. By default, the preroll starts as usual.
+  autoplayPolicy: null,
+
+  // Play linear ads in a separate video element instead of the content
+  // video element. Not supported with stitchedAds.
+  separateAdElement: false,
+
+  // Show a skip button for ads that have a `skipOffset`
+  skipButton: true,
+
+  // Show an "Ad 1 of 3" label during ads
+  adBadge: false,
+
+  // Show the time left in the ad break during ads
+  adRemainingTime: false,
+
+  // Open the click-through URL of an ad when the ad is clicked
+  adClickThrough: false,
+
+  // The name of a profile registered with registerProfile, whose states
+  // replace the registered states for this player
+  profile: null,
+
+  // Methods that replace the methods of states for this player, by state
+  // name. See player.ads.extendState.
+  stateOverrides: {}
 };
 
 const contribAdsPlugin = function(options) {
@@ -139,6 +258,10 @@ const contribAdsPlugin = function(options) {
     if (player.ads.settings.stitchedAds) {
       return;
     }
+    // The separate ad element plays ads by itself.
+    if (player.ads.adElement) {
+      return;
+    }
     // Some techs may retrigger canplay after playback has begun.
     // So we want to procceed only if playback hasn't started.
     if (player.hasStarted()) {
@@ -164,6 +287,14 @@ const contribAdsPlugin = function(options) {
     }
   });
 
+  // Attach an AdError to ad errors before anything else handles them, so the
+  // states, the tracking feature and ad plugins all see it
+  player.on(['adserror', 'adtimeout', 'adscanceled'], function(e) {
+    e.adError = AdError.fromEvent(player, e);
+    player.ads.lastError = e.adError;
+    player.ads.debug(e.adError.toString());
+  });
+
   player.on('nopreroll', function() {
     player.ads.debug('Received nopreroll event');
     player.ads.nopreroll_ = true;
@@ -209,16 +340,80 @@ const contribAdsPlugin = function(options) {
   // But first, cast to boolean.
   settings.stitchedAds = !!settings.stitchedAds;
 
+  if (settings.profile) {
+    const profile = States.getProfile(settings.profile);
+
+    if (profile) {
+      // A profile can replace a state with a class or with methods
+      Object.keys(profile).forEach((name) => {
+        if (typeof profile[name] === 'function') {
+          player.ads.registerState(name, profile[name]);
+        } else {
+          player.ads.extendState(name, profile[name]);
+        }
+      });
+    } else {
+      videojs.log.warn(`Unknown ads profile "${settings.profile}", using the default states`);
+    }
+  }
+
+  Object.keys(settings.stateOverrides).forEach((name) => {
+    player.ads.extendState(name, settings.stateOverrides[name]);
+  });
+
+  // Report problems with custom states
+  States.logProblems_(States.validate(player));
+
+  // Record state transitions from the start
+  player.ads.history = getHistory(player);
+
   if (settings.stitchedAds) {
-    player.ads._state = new (States.getState('StitchedContentPlayback'))(player);
+    player.ads._state = new (States.getState('StitchedContentPlayback', player))(player);
   } else {
-    player.ads._state = new (States.getState('BeforePreroll'))(player);
+    player.ads._state = new (States.getState('BeforePreroll', player))(player);
   }
 
   player.ads._state.init(player);
 
   player.ads.cueTextTracks = cueTextTracks;
   player.ads.adMacroReplacement = adMacroReplacement.bind(player);
+  player.ads.vast = getVast(player);
+  player.ads.pod = getPod(player);
+  player.ads.adTimeouts = getAdTimeouts(player);
+  player.ads.adBudget = getAdBudget(player);
+  player.ads.policy = getPolicy(player);
+  player.ads.progress = getProgress(player);
+  player.ads.tracking = getTracking(player);
+  player.ads.autoplay = getAutoplay(player);
+  player.ads.adElement = null;
+
+  if (settings.separateAdElement && !settings.stitchedAds) {
+    player.ads.adElement = getAdElement(player);
+  }
+
+  // Ad UI components. The click-through layer is added first so that the
+  // other components are on top of it.
+  if (settings.adClickThrough) {
+    player.addChild('AdClickThrough');
+  }
+
+  if (settings.adBadge) {
+    player.addChild('AdBadge');
+  }
+
+  if (settings.adRemainingTime) {
+    player.addChild('AdRemainingTime');
+  }
+
+  if (settings.skipButton) {
+    player.addChild('AdSkipButton');
+  }
+
+  if (settings.autoplayPolicy === 'muted') {
+    player.addChild('AdUnmuteButton');
+  }
+
+  player.ads.autoplay.detect();
 
   // Start sending contentupdate and contentchanged events for this player
   initializeContentupdate(player);
@@ -275,9 +470,15 @@ const contribAdsPlugin = function(options) {
     'contentchanged', 'dispose', 'contentresumed', 'readyforpostroll',
     'nopreroll', 'nopostroll'
   ], (e) => {
-    player.ads._state.handleEvent(e.type);
+    player.ads._withCause(e.type, () => {
+      player.ads._state.handleEvent(e.type, e);
+    });
   });
 
+  // The ad schedule starts breaks in response to some of the same events, so
+  // its listeners are added after the state has had a chance to handle them.
+  player.ads.schedule = getSchedule(player);
+
   // Clear timeouts and handlers when player is disposed
   player.on('dispose', function() {
     player.ads.reset();
@@ -290,6 +491,13 @@ const contribAdsPlugin = function(options) {
 // after initialization in ads.js
 contribAdsPlugin.VERSION = adsVersion;
 
+// Profiles are registered with the plugin that Video.js uses, so they work even
+// if an ad plugin includes its own copy of contrib-ads
+contribAdsPlugin.registerProfile = States.registerProfile;
+
+// Ad plugins can create AdErrors themselves and trigger them with `adserror`
+contribAdsPlugin.AdError = AdError;
+
 // Attempt to register the plugin, if we can.
 register(contribAdsPlugin);
 
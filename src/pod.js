@@ -0,0 +1,231 @@
+/*
+This feature keeps track of the individual ads in an ad break (the ad pod). It
+triggers the pod and ad events of the common interface and keeps `player.ads.ad`
+up to date, so ad metadata is reported the same way by every ad plugin.
+*/
+
+import videojs from 'video.js';
+
+export default function getPod(player) {
+
+  // The ad plays in the player, unless ads play in their own element
+  const mediaCurrentTime = function() {
+    return player.ads.adElement ? player.ads.adElement.currentTime() : player.currentTime();
+  };
+
+  const pod = {
+
+    // The ads of the current ad break, as given to `start`
+    ads: [],
+
+    // The index of the current ad in the ad break, or -1 before the first ad
+    index: -1,
+
+    // Whether `ads-pod-started` was triggered for the current ad break
+    started: false,
+
+    // Errors of ads that the ad break continued after, for the current or
+    // last ad break. Each has the `index` and `id` of the ad and the `code`
+    // and `message` of the `adserror` event.
+    errors: [],
+
+    /*
+     * Declares the ads of the current ad break and triggers `ads-pod-started`.
+     * Call this after startLinearAdMode.
+     * @param {Array} [ads] Ad metadata, such as `id` and `duration` (seconds)
+     */
+    start(ads = []) {
+      if (!player.ads.inAdBreak()) {
+        videojs.log.warn('Unexpected pod start outside of an ad break');
+        return;
+      }
+
+      pod.ads = ads;
+      pod.index = -1;
+      pod.started = true;
+      player.trigger({type: 'ads-pod-started', count: ads.length});
+    },
+
+    /*
+     * Starts the next ad of the ad break and triggers `ads-ad-started`.
+     * @param {Object} [ad] Ad metadata, merged into the metadata given to `start`
+     * @param {number} [index] The index of the ad, if ads were left out, for
+     *        example because of an ad error
+     */
+    startAd(ad, index = pod.index + 1) {
+      player.trigger({type: 'ads-ad-started', indexInBreak: index, ad});
+    },
+
+    /*
+     * Ends the current ad and triggers `ads-ad-ended`.
+     */
+    endAd() {
+      player.trigger({type: 'ads-ad-ended', indexInBreak: pod.index});
+    },
+
+    /*
+     * Skips the current ad and triggers `ads-ad-skipped`. The ad plugin is
+     * expected to move on to the next ad, or end the ad break after the last.
+     * Does nothing if the ad can't be skipped yet.
+     */
+    skipAd() {
+      if (!pod.canSkip()) {
+        player.ads.debug('Ignoring skip of an ad that is not skippable yet');
+        return;
+      }
+
+      player.trigger({type: 'ads-ad-skipped', indexInBreak: pod.index, ad: player.ads.ad});
+    },
+
+    /*
+     * Records an error of the current ad, or of the ad at the `indexInBreak`
+     * of the event if it failed before it started. The tracking of the ad is
+     * cleared, as the ad plugin moves on to the next ad.
+     * @param {Object} [event] The `adserror` event
+     */
+    recordError(event = {}) {
+      if (typeof event.indexInBreak === 'number' && event.indexInBreak > pod.index) {
+        pod.index = event.indexInBreak;
+        player.ads.ad = null;
+      }
+
+      const ad = player.ads.ad || pod.ads[pod.index];
+
+      pod.errors.push({
+        index: pod.index,
+        id: ad && ad.id ? ad.id : '',
+        code: event.code,
+        message: event.message
+      });
+      player.ads.tracking.reset();
+    },
+
+    /*
+     * Whether the ads given to `start` have all been started. If they were
+     * not given, the ad plugin decides when the ad break ends.
+     * @param {number} [index] The index of the ad that was reached, if it is
+     *        after the current ad
+     */
+    isExhausted(index = pod.index) {
+      return pod.ads.length > 0 && Math.max(index, pod.index) >= pod.ads.length - 1;
+    },
+
+    /*
+     * Whether the current ad has a `skipOffset`, in seconds into the ad.
+     */
+    isSkippable() {
+      const ad = player.ads.ad;
+
+      return Boolean(ad) && typeof ad.skipOffset === 'number' && isFinite(ad.skipOffset);
+    },
+
+    /*
+     * Seconds until the current ad can be skipped, or NaN if it is not
+     * skippable.
+     */
+    skipTimeRemaining() {
+      if (!pod.isSkippable()) {
+        return NaN;
+      }
+
+      return Math.max(0, player.ads.ad.skipOffset - player.ads.ad.currentTime());
+    },
+
+    /*
+     * Whether the current ad can be skipped now.
+     */
+    canSkip() {
+      return pod.skipTimeRemaining() === 0;
+    },
+
+    /*
+     * The number of ads in the ad break, as far as it is known.
+     */
+    count() {
+      return Math.max(pod.ads.length, pod.index + 1);
+    },
+
+    /*
+     * Duration of the current ad in seconds. Falls back to the duration of the
+     * media if the ad plugin did not provide one.
+     */
+    adDuration() {
+      const ad = player.ads.ad;
+
+      if (!ad) {
+        return NaN;
+      }
+
+      if (typeof ad.duration === 'number' && isFinite(ad.duration)) {
+        return ad.duration;
+      }
+
+      return player.ads.adElement ? player.ads.adElement.duration() : player.duration();
+    },
+
+    /*
+     * Seconds left in the current ad.
+     */
+    adRemainingTime() {
+      if (!player.ads.ad) {
+        return NaN;
+      }
+
+      return Math.max(0, pod.adDuration() - player.ads.ad.currentTime());
+    },
+
+    /*
+     * Seconds left in the ad break: the rest of the current ad and the
+     * durations of the ads after it. NaN if a duration is unknown.
+     */
+    remainingTime() {
+      let remaining = pod.index < 0 ? 0 : pod.adRemainingTime();
+
+      for (let i = pod.index + 1; i < pod.ads.length; i++) {
+        remaining += pod.ads[i].duration;
+      }
+
+      return remaining;
+    },
+
+    reset() {
+      pod.ads = [];
+      pod.index = -1;
+      pod.started = false;
+      player.ads.ad = null;
+    }
+  };
+
+  // The bookkeeping happens in event listeners so that ad plugins that trigger
+  // `ads-ad-started` themselves are also tracked.
+  player.on('ads-ad-started', (e) => {
+    if (!player.ads.inAdBreak()) {
+      return;
+    }
+
+    pod.index = typeof e.indexInBreak === 'number' ? e.indexInBreak : pod.index + 1;
+
+    player.ads.ad = videojs.mergeOptions(pod.ads[pod.index] || {}, e.ad || {}, {
+      type: player.ads.adType,
+      index: pod.index,
+      currentTime: () => mediaCurrentTime()
+    });
+
+    if (!player.ads.ad.id) {
+      player.ads.ad.id = '';
+    }
+  });
+
+  player.on('adstart', () => {
+    pod.errors = [];
+  });
+
+  player.on('adend', () => {
+    if (pod.started) {
+      player.trigger({type: 'ads-pod-ended', errors: pod.errors});
+    }
+    pod.reset();
+  });
+
+  return pod;
+}
@@ -0,0 +1,204 @@
+/*
+This feature applies rules about how often ad breaks can play: a minimum amount
+of content between breaks, a maximum number of breaks per hour and a maximum
+number of prerolls per session. A break that breaks a rule is vetoed, and
+`adbreakvetoed` is triggered. A midroll that comes too soon after the last
+break is deferred instead: `adbreakdeferred` is triggered and the break starts
+once enough content has played, or is requested again if it was requested with
+requestMidroll. Breaks are also vetoed once the ads of the
+session have used up `maxAdTimePerSession` (see adBudget.js).
+
+The session is the life of the player, so counts carry over to new content.
+*/
+
+// Normal playback moves the current time by less than this between
+// `timeupdate` or `adtimeupdate` events. Larger changes are seeks or source
+// changes.
+export const MAX_TIME_STEP = 1;
+
+const HOUR = 60 * 60 * 1000;
+
+export default function getPolicy(player) {
+
+  // Start times of the breaks in the last hour, from Date.now()
+  let breakTimes = [];
+
+  // Seconds of content played since the last break, or Infinity before the
+  // first break
+  let contentSinceBreak = Infinity;
+
+  let lastTime = null;
+
+  const policy = {
+
+    // Number of prerolls played in this session
+    prerolls: 0,
+
+    // The deferred break, waiting for enough content to play, or null. Its
+    // `requested` property is true if it was requested with requestMidroll.
+    deferred: null,
+
+    /*
+     * Checks whether an ad break can start now.
+     * @param {string} adType preroll or midroll
+     * @return {Object|null} null if the break can start. Otherwise an object
+     *         with the `action` (veto or defer), the `reason`, which is the
+     *         name of the rule, and for deferred breaks, the `delay` in
+     *         seconds of content until the break can start.
+     */
+    check(adType) {
+      const settings = player.ads.settings;
+      const now = Date.now();
+
+      breakTimes = breakTimes.filter((time) => now - time < HOUR);
+
+      if (adType === 'preroll' && typeof settings.maxPrerollsPerSession === 'number' &&
+          policy.prerolls >= settings.maxPrerollsPerSession) {
+        return {action: 'veto', reason: 'maxPrerollsPerSession'};
+      }
+
+      if (player.ads.adBudget && player.ads.adBudget.isSessionExhausted()) {
+        return {action: 'veto', reason: 'maxAdTimePerSession'};
+      }
+
+      if (typeof settings.maxBreaksPerHour === 'number' &&
+          breakTimes.length >= settings.maxBreaksPerHour) {
+        return {action: 'veto', reason: 'maxBreaksPerHour'};
+      }
+
+      if (adType === 'midroll' && contentSinceBreak < settings.minBreakInterval) {
+        return {
+          action: 'defer',
+          reason: 'minBreakInterval',
+          delay: settings.minBreakInterval - contentSinceBreak
+        };
+      }
+
+      return null;
+    },
+
+    /*
+     * Triggers `adbreakvetoed` or `adbreakdeferred` for a decision from
+     * `check`. A deferred break is started with startLinearAdMode, or
+     * requestMidroll if it was requested, when it is allowed to, unless
+     * content changes or ends first.
+     * @param {string} adType preroll or midroll
+     * @param {Object} decision The decision
+     * @param {boolean} [requested] Whether the break was requested with
+     *        requestMidroll
+     */
+    apply(adType, decision, requested) {
+      player.ads.debug(`Ad break ${decision.action === 'veto' ? 'vetoed' : 'deferred'}: ${decision.reason}`);
+
+      if (decision.action === 'defer') {
+        if (!policy.deferred) {
+          policy.deferred = {callbacks: [], requested: false};
+        }
+        if (requested) {
+          policy.deferred.requested = true;
+        }
+        player.trigger({type: 'adbreakdeferred', adType, reason: decision.reason, delay: decision.delay});
+      } else {
+        player.trigger({type: 'adbreakvetoed', adType, reason: decision.reason});
+      }
+    },
+
+    /*
+     * Calls back when the deferred break starts, or with an error if it is
+     * dropped. Ad plugins that started the break can use this to play their
+     * ads once it starts.
+     * @param {Function} callback Called with null or an error
+     */
+    onDeferredBreak(callback) {
+      if (policy.deferred) {
+        policy.deferred.callbacks.push(callback);
+      } else {
+        callback(new Error('No ad break is deferred'));
+      }
+    },
+
+    /*
+     * Drops the deferred break, if there is one.
+     */
+    dropDeferred() {
+      const deferred = policy.deferred;
+
+      policy.deferred = null;
+
+      if (deferred) {
+        player.ads.debug('Deferred ad break dropped');
+        deferred.callbacks.forEach((callback) => {
+          callback(new Error('The deferred ad break was dropped'));
+        });
+      }
+    },
+
+    startDeferred_() {
+      const deferred = policy.deferred;
+
+      policy.deferred = null;
+
+      if (deferred.requested) {
+        player.ads.requestMidroll();
+      } else {
+        player.ads.startLinearAdMode();
+      }
+
+      // A requested break has started once content waits for the ad plugin
+      const started = player.ads.inAdBreak() ||
+        (deferred.requested && player.ads.isWaitingForAdBreak());
+
+      deferred.callbacks.forEach((callback) => {
+        callback(started ? null : new Error('The deferred ad break did not start'));
+      });
+    }
+  };
+
+  player.on('adstart', () => {
+    // Another break started first
+    policy.dropDeferred();
+
+    breakTimes.push(Date.now());
+    lastTime = null;
+
+    if (player.ads.adType === 'preroll') {
+      policy.prerolls++;
+    }
+  });
+
+  player.on('adend', () => {
+    contentSinceBreak = 0;
+  });
+
+  player.on('timeupdate', () => {
+    if (player.ads.isInAdMode()) {
+      return;
+    }
+
+    const currentTime = player.currentTime();
+    const step = currentTime - lastTime;
+
+    if (lastTime !== null && step > 0 && step <= MAX_TIME_STEP) {
+      contentSinceBreak += step;
+    }
+    lastTime = currentTime;
+
+    if (policy.deferred) {
+      const decision = policy.check('midroll');
+
+      if (!decision) {
+        policy.startDeferred_();
+      } else if (decision.action === 'veto') {
+        policy.dropDeferred();
+        policy.apply('midroll', decision);
+      }
+    }
+  });
+
+  player.on(['contentchanged', 'readyforpostroll'], () => {
+    lastTime = null;
+    policy.dropDeferred();
+  });
+
+  return policy;
+}
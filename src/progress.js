@@ -0,0 +1,119 @@
+/*
+This feature triggers the quartile events of the common interface
+(`ads-first-quartile`, `ads-midpoint` and `ads-third-quartile`) and `ads-progress`
+events at custom offsets, based on the `adtimeupdate` events from redispatch.
+Each event is triggered at most once per ad.
+*/
+
+import {parseOffset} from './vast.js';
+
+const QUARTILES = [
+  {offset: '25%', type: 'ads-first-quartile'},
+  {offset: '50%', type: 'ads-midpoint'},
+  {offset: '75%', type: 'ads-third-quartile'}
+];
+
+// When the content video element is reused for ads, `adtimeupdate` can briefly
+// report the content time while the ad loads. Times this far past the end of
+// the ad are ignored.
+const STALE_TIME_TOLERANCE = 1;
+
+/*
+ * Converts a progress offset to seconds into the ad.
+ * @param {number|string} offset Seconds, a timecode or a percentage
+ * @param {number} duration The duration of the ad
+ * @return {number} The offset in seconds, or NaN if it can't be determined
+ */
+export function getOffsetTime(offset, duration) {
+  if (typeof offset === 'number') {
+    return offset;
+  }
+
+  return parseOffset(offset, duration);
+}
+
+export default function getProgress(player) {
+
+  // Events already triggered for the current ad, by offset key
+  let fired = {};
+
+  const progress = {
+
+    // Custom offsets that trigger `ads-progress` for every ad
+    offsets: [],
+
+    /*
+     * Triggers `ads-progress` when each ad reaches the given offset. The event
+     * has the `offset` as it was given.
+     * @param {number|string} offset Seconds, a timecode such as "00:00:05" or
+     *        a percentage such as "10%"
+     */
+    addOffset(offset) {
+      if (progress.offsets.indexOf(offset) === -1) {
+        progress.offsets.push(offset);
+      }
+    },
+
+    removeOffset(offset) {
+      progress.offsets = progress.offsets.filter((item) => item !== offset);
+    },
+
+    clearOffsets() {
+      progress.offsets = [];
+    },
+
+    /*
+     * Triggers the events for every offset the current ad has reached that
+     * has not been triggered yet. This normally happens on `adtimeupdate`.
+     */
+    update() {
+      const ad = player.ads.ad;
+
+      if (!ad || !player.ads.inAdBreak()) {
+        return;
+      }
+
+      const duration = player.ads.pod.adDuration();
+      const currentTime = ad.currentTime();
+
+      if (currentTime > duration + STALE_TIME_TOLERANCE) {
+        return;
+      }
+
+      const due = [];
+
+      QUARTILES.forEach((quartile) => {
+        due.push({
+          key: quartile.type,
+          time: getOffsetTime(quartile.offset, duration),
+          event: {type: quartile.type}
+        });
+      });
+
+      progress.offsets.forEach((offset) => {
+        due.push({
+          key: 'progress ' + offset,
+          time: getOffsetTime(offset, duration),
+          event: {type: 'ads-progress', offset}
+        });
+      });
+
+      // After a seek several offsets can be reached at once. Trigger them in
+      // the order they would have been reached.
+      due.sort((a, b) => a.time - b.time).forEach((item) => {
+        if (!fired[item.key] && currentTime >= item.time) {
+          fired[item.key] = true;
+          player.trigger(item.event);
+        }
+      });
+    }
+  };
+
+  player.on('ads-ad-started', () => {
+    fired = {};
+  });
+
+  player.on('adtimeupdate', progress.update);
+
+  return progress;
+}
@@ -155,8 +155,16 @@ const handlePlay = (player, event) => {
 // letting it go on its way without any meddling.
 export default function redispatch(event) {
 
+  // When ads play in their own element, events from the content element during
+  // an ad break are not ad events. Ad events are triggered by adElement.js.
+  // The volume is shared with the ad, so volume changes go through.
+  if (this.ads.adElement && this.ads.inAdBreak()) {
+    if (event.type !== 'volumechange') {
+      cancelEvent(this, event);
+    }
+
   // Events with special treatment
-  if (event.type === 'playing') {
+  } else if (event.type === 'playing') {
     handlePlaying(this, event);
   } else if (event.type === 'ended') {
     handleEnded(this, event);
@@ -1,5 +1,6 @@
 import videojs from 'video.js';
 import playMiddlewareFeature from './playMiddleware.js';
+import seekMiddleware from './seekMiddleware.js';
 
 const {playMiddleware, isMiddlewareMediatorSupported} = playMiddlewareFeature;
 
@@ -67,6 +68,14 @@ function register(contribAdsPlugin) {
     videojs.log.debug('Play middleware has been registered with videojs');
   }
 
+  // The seek middleware only needs setters, which all versions of Video.js
+  // with middleware support
+  if (videojs.use && !videojs.usingContribAdsSeekMiddleware_) {
+    videojs.use('*', seekMiddleware);
+    videojs.usingContribAdsSeekMiddleware_ = true;
+    videojs.log.debug('Seek middleware has been registered with videojs');
+  }
+
   return true;
 }
 
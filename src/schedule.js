@@ -0,0 +1,347 @@
+/*
+This feature accepts an ad schedule, either as a VMAP document or as JSON, and
+starts its ad breaks at the scheduled offsets: prerolls on `readyforpreroll`,
+midrolls as content playback reaches them and postrolls on `readyforpostroll`.
+With the `snapBack` setting, midrolls that the user seeked past play at their
+own offset before content resumes at the seek target.
+*/
+
+import window from 'global/window';
+import videojs from 'video.js';
+
+import {parseOffset, childrenByName, firstChild, textOf} from './vast.js';
+
+/*
+ * Converts a break offset to seconds of content time.
+ * @param {number|string} offset Seconds, a VMAP timecode or a percentage
+ * @param {number} duration The content duration, used for percentages
+ * @return {number} The time in seconds, or NaN if it can't be determined
+ */
+export function getBreakTime(offset, duration) {
+  if (typeof offset === 'number') {
+    return offset;
+  }
+
+  return parseOffset(offset, duration);
+}
+
+/*
+ * Parses the linear ad breaks of a VMAP 1.0 document.
+ * @param {string|Document} xml The VMAP document
+ * @return {Array} Break options, as accepted by `player.ads.schedule.load`
+ */
+export function parseVmap(xml) {
+  let doc = xml;
+
+  if (typeof xml === 'string') {
+    doc = new window.DOMParser().parseFromString(xml, 'text/xml');
+  }
+
+  const root = doc && doc.documentElement;
+
+  if (!root || (root.localName || root.nodeName) !== 'VMAP' ||
+      doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The VMAP document could not be parsed');
+  }
+
+  return childrenByName(root, 'AdBreak').filter((el) => {
+    const breakTypes = (el.getAttribute('breakType') || 'linear').split(',');
+
+    return breakTypes.indexOf('linear') !== -1;
+  }).map((el) => {
+    const adSource = firstChild(el, 'AdSource');
+    const vastAdData = firstChild(adSource, 'VASTAdData');
+    const customAdData = firstChild(adSource, 'CustomAdData');
+
+    return {
+      id: el.getAttribute('breakId') || '',
+      offset: el.getAttribute('timeOffset'),
+      vastUrl: textOf(firstChild(adSource, 'AdTagURI')),
+      vast: vastAdData ? firstChild(vastAdData, 'VAST') : null,
+      data: customAdData ? textOf(customAdData) : undefined
+    };
+  });
+}
+
+/*
+ * Creates a normalized ad break, or returns null if the offset is invalid.
+ */
+const createBreak = function(options) {
+  const offset = options.offset;
+  const adBreak = {
+    id: options.id || '',
+    offset,
+    type: 'midroll',
+    vastUrl: options.vastUrl || '',
+    vast: options.vast || null,
+    data: options.data,
+    played: false
+  };
+
+  if (offset === 'start' || getBreakTime(offset, 1) === 0) {
+    adBreak.type = 'preroll';
+  } else if (offset === 'end' || offset === '100%') {
+    adBreak.type = 'postroll';
+  } else if (isNaN(getBreakTime(offset, 1))) {
+    videojs.log.warn(`Ignoring ad break with unsupported offset "${offset}"`);
+    return null;
+  }
+
+  return adBreak;
+};
+
+const unplayed = function(breaks, type) {
+  return breaks.filter((adBreak) => adBreak.type === type && !adBreak.played);
+};
+
+export default function getSchedule(player) {
+
+  // The last content time seen during content playback
+  let lastTime = 0;
+
+  // The content time when the current seek began
+  let seekFrom = null;
+
+  // Breaks that were seeked past and should play as soon as possible
+  const queue = [];
+
+  // With `snapBack`, the content time to resume at after the breaks that were
+  // seeked past, or null
+  let seekTarget = null;
+
+  // The offset of the break that content snaps back to once the break has
+  // started, or null. Until then, the ads of the break may still be loading.
+  let snapBackTime = null;
+
+  // Midrolls scheduled after `from` and no later than `to`, in time order.
+  const midrollsBetween = function(breaks, from, to) {
+    const duration = player.duration();
+
+    return unplayed(breaks, 'midroll').filter((adBreak) => {
+      const time = getBreakTime(adBreak.offset, duration);
+
+      return isFinite(time) && time > from && time <= to;
+    }).sort((a, b) => {
+      return getBreakTime(a.offset, duration) - getBreakTime(b.offset, duration);
+    });
+  };
+
+  // A scheduled break could not play. Move on from prerolls and postrolls
+  // right away rather than waiting for the timeout. Content that snapped back
+  // to a midroll goes on to the seek target, unless more breaks are queued.
+  const skipBreak = function(adBreak, error) {
+    player.ads.debug(`Scheduled ${adBreak.type} break could not play: ${error.message}`);
+
+    snapBackTime = null;
+
+    if (player.ads.isWaitingForAdBreak()) {
+      player.ads.skipLinearAdMode();
+    } else if (seekTarget !== null && queue.length === 0 && !player.ads.isInAdMode()) {
+      player.currentTime(seekTarget);
+      seekTarget = null;
+    }
+  };
+
+  const schedule = {
+
+    // The ad breaks for the current content
+    breaks: [],
+
+    /*
+     * Replaces the schedule for the current content. Triggers `nopreroll` and
+     * `nopostroll` if the schedule has no preroll or postroll break.
+     * @param {string|Document|Array} source A VMAP document or an array of
+     *        break options. Each break has an `offset` ("start", "end",
+     *        seconds, a timecode or a percentage) and may have an `id`, a
+     *        `vastUrl`, inline `vast` or custom `data`.
+     */
+    load(source) {
+      const breakOptions = Array.isArray(source) ? source : parseVmap(source);
+
+      schedule.reset();
+
+      breakOptions.forEach((options) => {
+        const adBreak = createBreak(options);
+
+        if (adBreak) {
+          schedule.breaks.push(adBreak);
+        }
+      });
+
+      player.ads.debug(`Loaded ad schedule with ${schedule.breaks.length} breaks`);
+
+      if (unplayed(schedule.breaks, 'preroll').length === 0) {
+        player.trigger('nopreroll');
+      }
+
+      if (unplayed(schedule.breaks, 'postroll').length === 0) {
+        player.trigger('nopostroll');
+      }
+    },
+
+    /*
+     * Clears the schedule. This happens automatically on `contentchanged`.
+     */
+    reset() {
+      schedule.breaks = [];
+      queue.length = 0;
+      lastTime = 0;
+      seekFrom = null;
+      seekTarget = null;
+      snapBackTime = null;
+    },
+
+    /*
+     * Starts a scheduled break. Breaks with VAST are played by contrib-ads.
+     * For other breaks, an `adbreakready` event is triggered with the break
+     * as `adBreak`, and the ad plugin is expected to call startLinearAdMode.
+     */
+    playBreak(adBreak) {
+      adBreak.played = true;
+      player.ads.debug(`Starting scheduled ${adBreak.type} break "${adBreak.id}"`);
+
+      const playPod = function(error, pod) {
+        if (error) {
+          return skipBreak(adBreak, error);
+        }
+
+        player.ads.vast.playPod(pod, (playError) => {
+          if (playError) {
+            skipBreak(adBreak, playError);
+          }
+        });
+      };
+
+      if (adBreak.vastUrl) {
+        player.ads.vast.load(adBreak.vastUrl, playPod);
+      } else if (adBreak.vast) {
+        let pod;
+
+        try {
+          pod = player.ads.vast.parse(adBreak.vast);
+        } catch (e) {
+          return playPod(e);
+        }
+        player.ads.vast.resolveWrappers(pod, playPod);
+      } else {
+        player.trigger({type: 'adbreakready', adBreak});
+      }
+    }
+  };
+
+  player.on('readyforpreroll', () => {
+    const adBreak = unplayed(schedule.breaks, 'preroll')[0];
+
+    if (adBreak) {
+      schedule.playBreak(adBreak);
+    }
+  });
+
+  player.on('readyforpostroll', () => {
+    const adBreak = unplayed(schedule.breaks, 'postroll')[0];
+
+    if (adBreak) {
+      schedule.playBreak(adBreak);
+    }
+  });
+
+  player.on('timeupdate', () => {
+    if (player.ads.isInAdMode() || player.seeking()) {
+      return;
+    }
+
+    const currentTime = player.currentTime();
+    const queued = queue.length > 0;
+    const due = queued ? [queue.shift()] : midrollsBetween(schedule.breaks, lastTime, currentTime);
+
+    lastTime = currentTime;
+
+    if (due.length > 0) {
+      // If playback crossed more than one break at once, only play the last.
+      due.forEach((adBreak) => {
+        adBreak.played = true;
+      });
+
+      // Snap back to a break that was seeked past, once it starts
+      if (queued && seekTarget !== null) {
+        snapBackTime = getBreakTime(due[0].offset, player.duration());
+      }
+
+      schedule.playBreak(due[due.length - 1]);
+    }
+  });
+
+  player.on('adstart', () => {
+    const time = snapBackTime;
+
+    if (time !== null) {
+      snapBackTime = null;
+      player.ads._bypassMiddleware(() => player.currentTime(time));
+    }
+  });
+
+  player.on('seeking', () => {
+    if (!player.ads.isInAdMode() && seekFrom === null) {
+      seekFrom = lastTime;
+    }
+  });
+
+  // Breaks seeked past are handled according to the `seekPastBreaks` setting.
+  player.on('seeked', () => {
+    if (player.ads.isInAdMode() || seekFrom === null) {
+      return;
+    }
+
+    const seekTo = player.currentTime();
+    const skipped = midrollsBetween(schedule.breaks, seekFrom, seekTo);
+    const policy = player.ads.settings.seekPastBreaks;
+
+    seekFrom = null;
+    lastTime = seekTo;
+
+    skipped.forEach((adBreak) => {
+      adBreak.played = true;
+    });
+
+    if (policy === 'playAll') {
+      queue.push.apply(queue, skipped);
+    } else if (policy === 'playLast' && skipped.length > 0) {
+      queue.push(skipped[skipped.length - 1]);
+    }
+
+    if (player.ads.settings.snapBack && queue.length > 0 && !player.ads.isLive(player)) {
+      seekTarget = seekTo;
+    }
+  });
+
+  // After a break that content snapped back to, content resumes at the next
+  // queued break or, after the last one, at the seek target.
+  player.ads.addSnapshotHandler({
+    name: 'snapBack',
+    capture(snapshotPlayer, snapshot) {
+      if (seekTarget === null) {
+        return;
+      }
+
+      snapshot.snapBack = true;
+
+      if (queue.length > 0) {
+        snapshot.currentTime = getBreakTime(queue[0].offset, player.duration());
+      } else {
+        snapshot.currentTime = seekTarget;
+        seekTarget = null;
+      }
+    },
+    restore(snapshotPlayer, snapshot) {
+      // The snapshot time is only restored by default if the content video
+      // element was used for ads
+      if (snapshot.snapBack && !player.ads.videoElementRecycled()) {
+        player.currentTime(snapshot.currentTime);
+      }
+    }
+  });
+
+  player.on('contentchanged', schedule.reset);
+
+  return schedule;
+}
@@ -0,0 +1,37 @@
+/*
+This feature blocks seeking during ad breaks, whether it comes from the progress
+bar, keyboard shortcuts or calls to `player.currentTime()`. Each blocked seek
+triggers `adseekblocked`. Ad plugins that need to seek during an ad break can
+turn on the `allowSeekingDuringAds` setting. Seeks that contrib-ads makes with
+`_bypassMiddleware`, like snapping back to a seeked-past break, are let through.
+*/
+
+/*
+ * The seek middleware. It is registered with Video.js for every player, so it
+ * does nothing for players without contrib-ads.
+ */
+export default function seekMiddleware(player) {
+  return {
+    setSource(srcObj, next) {
+      next(null, srcObj);
+    },
+
+    /*
+     * Called with the time that is about to be set on the tech. Returning
+     * the current time of the tech instead means the seek has no effect.
+     */
+    setCurrentTime(time) {
+      const ads = player.ads;
+
+      if (!ads || !ads.settings || ads._middlewareBypassed ||
+          ads.settings.allowSeekingDuringAds || !ads.inAdBreak()) {
+        return time;
+      }
+
+      ads.debug(`Blocked seek to ${time} during an ad break`);
+      player.trigger({type: 'adseekblocked', time});
+
+      return player.tech(true).currentTime();
+    }
+  };
+}
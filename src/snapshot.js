@@ -7,6 +7,166 @@ import videojs from 'video.js';
 
 let tryToResumeTimeout_;
 
+/*
+ * Calls a hook of the snapshot handlers registered with addSnapshotHandler.
+ * Errors in a handler are reported with a `snapshotrestorefailed` event and
+ * do not stop the other handlers.
+ * @param {Object} player The videojs player object
+ * @param {string} hook "capture", "restore" or "resume"
+ * @param {Object} snapshotObject The snapshot
+ * @return {boolean} true if a handler returned true
+ */
+const callHandlers = function(player, hook, snapshotObject) {
+  let handled = false;
+
+  player.ads.snapshotHandlers.forEach((handler) => {
+    if (typeof handler[hook] !== 'function') {
+      return;
+    }
+
+    try {
+      if (handler[hook](player, snapshotObject) === true) {
+        handled = true;
+      }
+    } catch (error) {
+      videojs.log.warn(`Snapshot handler "${handler.name}" failed to ${hook}`, error);
+      player.trigger({
+        type: 'snapshotrestorefailed',
+        reason: 'handler',
+        handler: handler.name,
+        hook,
+        error
+      });
+    }
+  });
+
+  return handled;
+};
+
+/*
+ * Records the playback rate, the enabled audio track and the enabled quality
+ * levels, then sets up the player for ads: 1x with the default audio track.
+ * Ads in their own element leave the content element as it is.
+ * @param {Object} player The videojs player object
+ * @param {Object} snapshotObject The snapshot to add the settings to
+ */
+const captureMediaSettings = function(player, snapshotObject) {
+  const audioTracks = player.audioTracks ? player.audioTracks() : [];
+  const qualityLevels = player.qualityLevels ? player.qualityLevels() : [];
+
+  snapshotObject.playbackRate = player.playbackRate();
+  snapshotObject.audioTrack = null;
+  snapshotObject.qualityLevels = [];
+
+  for (let i = 0; i < audioTracks.length; i++) {
+    const track = audioTracks[i];
+
+    if (track.enabled) {
+      snapshotObject.audioTrack = {
+        id: track.id,
+        kind: track.kind,
+        label: track.label,
+        language: track.language
+      };
+    }
+  }
+
+  for (let i = 0; i < qualityLevels.length; i++) {
+    snapshotObject.qualityLevels.push({
+      id: qualityLevels[i].id,
+      enabled: qualityLevels[i].enabled
+    });
+  }
+
+  if (player.ads.adElement) {
+    return;
+  }
+
+  if (snapshotObject.playbackRate !== 1) {
+    player.playbackRate(1);
+  }
+
+  for (let i = 0; i < audioTracks.length; i++) {
+    if (audioTracks[i].kind === 'main' && !audioTracks[i].enabled) {
+      audioTracks[i].enabled = true;
+    }
+  }
+};
+
+/*
+ * Applies the media settings of a snapshot. When the content source was
+ * reloaded, audio tracks and quality levels are usually added after the
+ * content resumes, so they are also applied as they are added, until the
+ * next ad break or source change.
+ * @param {Object} player The videojs player object
+ * @param {Object} snapshotObject The snapshot
+ */
+const restoreMediaSettings = function(player, snapshotObject) {
+  const audioTracks = player.audioTracks ? player.audioTracks() : null;
+  const qualityLevels = player.qualityLevels ? player.qualityLevels() : null;
+  const savedTrack = snapshotObject.audioTrack;
+  const savedLevels = snapshotObject.qualityLevels || [];
+
+  if (typeof snapshotObject.playbackRate === 'number' &&
+      player.playbackRate() !== snapshotObject.playbackRate) {
+    player.playbackRate(snapshotObject.playbackRate);
+  }
+
+  const isSavedTrack = function(track) {
+    return track.id === savedTrack.id ||
+      track.language === savedTrack.language && track.label === savedTrack.label;
+  };
+
+  const restoreAudioTrack = function() {
+    for (let i = 0; i < audioTracks.length; i++) {
+      if (isSavedTrack(audioTracks[i])) {
+        audioTracks[i].enabled = true;
+        return;
+      }
+    }
+  };
+
+  const restoreQualityLevel = function(level) {
+    for (let i = 0; i < savedLevels.length; i++) {
+      if (savedLevels[i].id === level.id) {
+        level.enabled = savedLevels[i].enabled;
+      }
+    }
+  };
+
+  const restoreQualityLevels = function() {
+    for (let i = 0; i < qualityLevels.length; i++) {
+      restoreQualityLevel(qualityLevels[i]);
+    }
+  };
+
+  const onAddQualityLevel = function(e) {
+    restoreQualityLevel(e.qualityLevel);
+  };
+
+  const stop = function() {
+    if (audioTracks && savedTrack) {
+      audioTracks.removeEventListener('addtrack', restoreAudioTrack);
+    }
+    if (qualityLevels && savedLevels.length) {
+      qualityLevels.off('addqualitylevel', onAddQualityLevel);
+    }
+    player.off(['adstart', 'contentchanged'], stop);
+  };
+
+  if (audioTracks && savedTrack) {
+    restoreAudioTrack();
+    audioTracks.addEventListener('addtrack', restoreAudioTrack);
+  }
+
+  if (qualityLevels && savedLevels.length) {
+    restoreQualityLevels();
+    qualityLevels.on('addqualitylevel', onAddQualityLevel);
+  }
+
+  player.on(['adstart', 'contentchanged'], stop);
+};
+
 /*
  * Returns an object that captures the portions of player state relevant to
  * video playback. The result of this function can be passed to
@@ -55,6 +215,9 @@ export function getPlayerSnapshot(player) {
   }
   snapshotObject.suppressedTracks = suppressedTracks;
 
+  captureMediaSettings(player, snapshotObject);
+  callHandlers(player, 'capture', snapshotObject);
+
   return snapshotObject;
 }
 
@@ -81,8 +244,8 @@ export function restorePlayerSnapshot(player, callback) {
   // The playback tech
   let tech = player.$('.vjs-tech');
 
-  // the number of[ remaining attempts to restore the snapshot
-  let attempts = 20;
+  // the number of remaining attempts to restore the snapshot
+  let attempts = player.ads.settings.snapshotRestoreAttempts;
 
   const suppressedTracks = snapshotObject.suppressedTracks;
 
@@ -94,11 +257,29 @@ export function restorePlayerSnapshot(player, callback) {
     }
   };
 
+  // if we added autoplay to force content loading on iOS, remove it now
+  // that it has served its purpose
+  const removeAutoplay = function() {
+    if (player.ads.shouldRemoveAutoplay_) {
+      player.autoplay(false);
+      player.ads.shouldRemoveAutoplay_ = false;
+    }
+  };
+
   // Finish restoring the playback state.
   // This only happens if the content video element was reused for ad playback.
-  const resume = function() {
+  const resumeContent = function() {
     let currentTime;
 
+    restoreMediaSettings(player, snapshotObject);
+    callHandlers(player, 'restore', snapshotObject);
+
+    // A snapshot handler can take over resuming playback
+    if (callHandlers(player, 'resume', snapshotObject)) {
+      removeAutoplay();
+      return;
+    }
+
     // Live video on iOS has special logic to try to seek to the right place after
     // an ad.
     if (videojs.browser.IS_IOS && player.ads.isLive(player)) {
@@ -145,12 +326,12 @@ export function restorePlayerSnapshot(player, callback) {
       }
     }
 
-    // if we added autoplay to force content loading on iOS, remove it now
-    // that it has served its purpose
-    if (player.ads.shouldRemoveAutoplay_) {
-      player.autoplay(false);
-      player.ads.shouldRemoveAutoplay_ = false;
-    }
+    removeAutoplay();
+  };
+
+  // Seeks are part of resuming content, so the play middleware lets them through
+  const resume = function() {
+    player.ads._bypassMiddleware(resumeContent);
   };
 
   // Determine if the video element has loaded enough of the snapshot source
@@ -191,12 +372,17 @@ export function restorePlayerSnapshot(player, callback) {
 
     // delay a bit and then check again unless we're out of attempts
     if (attempts--) {
-      player.setTimeout(tryToResume, 50);
+      player.setTimeout(tryToResume, player.ads.settings.snapshotRestoreInterval);
     } else {
       try {
         resume();
-      } catch (e) {
-        videojs.log.warn('Failed to resume the content after an advertisement', e);
+      } catch (error) {
+        videojs.log.warn('Failed to resume the content after an advertisement', error);
+        player.trigger({
+          type: 'snapshotrestorefailed',
+          reason: 'notseekable',
+          error
+        });
       }
     }
   };
@@ -238,14 +424,21 @@ export function restorePlayerSnapshot(player, callback) {
     // in some browsers (firefox) `canplay` may not fire correctly.
     // Reace the `canplay` event with a timeout.
     player.one('contentcanplay', tryToResume);
-    tryToResumeTimeout_ = player.setTimeout(tryToResume, 2000);
+    tryToResumeTimeout_ = player.setTimeout(tryToResume, player.ads.settings.snapshotRestoreTimeout);
   } else {
     // if we didn't change the src, just restore the tracks
     restoreTracks();
+    restoreMediaSettings(player, snapshotObject);
+
+    // A snapshot handler can take over resuming playback
+    const resumedByHandler = player.ads._bypassMiddleware(() => {
+      callHandlers(player, 'restore', snapshotObject);
+      return callHandlers(player, 'resume', snapshotObject);
+    });
 
     // we don't need to check snapshotObject.ended here because the content video
     // element wasn't recycled
-    if (!player.ended()) {
+    if (!resumedByHandler && !player.ended()) {
       // the src didn't change and this wasn't a postroll
       // just resume playback at the current time.
       const playPromise = player.play();
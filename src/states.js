@@ -1,9 +1,28 @@
+import videojs from 'video.js';
+
+// States that other states extend. They are never transitioned to.
+const ABSTRACT_STATES = ['State', 'AdState', 'ContentState'];
+
+// The states a player starts in, without and with stitched ads
+const INITIAL_STATES = ['BeforePreroll', 'StitchedContentPlayback'];
+
 export default class States {
-  static getState(name) {
+
+  /*
+   * Gets a state class by name. If a player is given, states that were
+   * replaced for that player only take precedence over the registered ones.
+   */
+  static getState(name, player) {
     if (!name) {
       return;
     }
 
+    const playerStates = player && player.ads && player.ads._states;
+
+    if (playerStates && playerStates[name]) {
+      return playerStates[name];
+    }
+
     if (States.states_ && States.states_[name]) {
       return States.states_[name];
     }
@@ -20,6 +39,161 @@ export default class States {
 
     States.states_[name] = StateToRegister;
 
+    // The other states may not be registered yet, so only the events of the
+    // state are checked here. See validate for the whole registry.
+    if (ABSTRACT_STATES.indexOf(name) === -1) {
+      States.logProblems_(States.checkEvents_(name, StateToRegister));
+    }
+
     return StateToRegister;
   }
+
+  /*
+   * Registers a named profile: a set of states, by state name, that replace
+   * the registered states for players that use the profile. Each state is a
+   * class or methods that extend the registered state, as with `extend`.
+   * Players choose a profile with the `profile` option.
+   */
+  static registerProfile(name, states) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Illegal profile name, "${name}"; must be a non-empty string.`);
+    }
+
+    if (!States.profiles_) {
+      States.profiles_ = {};
+    }
+
+    States.profiles_[name] = states;
+
+    return states;
+  }
+
+  static getProfile(name) {
+    if (States.profiles_ && States.profiles_[name]) {
+      return States.profiles_[name];
+    }
+  }
+
+  /*
+   * Creates a subclass of a state with the given methods. Each method can call
+   * the method it replaces, if any, with `this._super(...)`.
+   * @param {Function} ParentState The state class to extend
+   * @param {Object} methods Methods of the new state
+   * @return {Function} The new state class
+   */
+  static extend(ParentState, methods) {
+    class ExtendedState extends ParentState {}
+
+    Object.keys(methods || {}).forEach((key) => {
+      const method = methods[key];
+      const parentMethod = ParentState.prototype[key];
+
+      if (typeof method !== 'function') {
+        ExtendedState.prototype[key] = method;
+        return;
+      }
+
+      ExtendedState.prototype[key] = function(...args) {
+        const previousSuper = this._super;
+
+        this._super = parentMethod ? parentMethod.bind(this) : function() {};
+
+        try {
+          return method.apply(this, args);
+        } finally {
+          this._super = previousSuper;
+        }
+      };
+    });
+
+    return ExtendedState;
+  }
+
+  /*
+   * Checks that the registered states fit together, based on the transitions
+   * and events they declare. Call this after registering custom states.
+   * @param {Player} [player] Also check the states replaced for this player
+   * @return {Array} A description of each problem found; empty if there are none
+   */
+  static validate(player) {
+    const states = {};
+    const playerStates = player && player.ads && player.ads._states;
+
+    [States.states_, playerStates].forEach((registry) => {
+      Object.keys(registry || {}).forEach((name) => {
+        states[name] = registry[name];
+      });
+    });
+
+    const problems = [];
+    const reachable = {};
+    const queue = INITIAL_STATES.filter((name) => states[name]);
+
+    Object.keys(states).forEach((name) => {
+      if (ABSTRACT_STATES.indexOf(name) !== -1) {
+        return;
+      }
+
+      const StateClass = states[name];
+
+      StateClass._getTransitions().forEach((to) => {
+        if (!states[to] || ABSTRACT_STATES.indexOf(to) !== -1) {
+          problems.push(`Illegal transition ${name} -> ${to}: ${to} is not a registered state`);
+        }
+      });
+
+      problems.push.apply(problems, States.checkEvents_(name, StateClass));
+    });
+
+    // Every state must be reachable from an initial state
+    while (queue.length) {
+      const name = queue.shift();
+
+      if (!reachable[name]) {
+        reachable[name] = true;
+        states[name]._getTransitions().forEach((to) => {
+          if (states[to]) {
+            queue.push(to);
+          }
+        });
+      }
+    }
+
+    Object.keys(states).forEach((name) => {
+      if (ABSTRACT_STATES.indexOf(name) === -1 && !reachable[name]) {
+        problems.push(`${name} can not be reached from ${INITIAL_STATES.join(' or ')}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /*
+   * Checks that a state handles the events it declares.
+   * @param {string} name The name of the state
+   * @param {Function} StateClass The state
+   * @return {Array} A description of each problem found
+   */
+  static checkEvents_(name, StateClass) {
+    const State = States.getState('State');
+    const problems = [];
+
+    StateClass._getHandledEvents().forEach((type) => {
+      const handler = State._getEventHandler(type);
+
+      if (!handler) {
+        problems.push(`${name} declares unknown event ${type}`);
+      } else if (StateClass.prototype[handler] === State.prototype[handler]) {
+        problems.push(`${name} declares ${type} but does not implement ${handler}`);
+      }
+    });
+
+    return problems;
+  }
+
+  static logProblems_(problems) {
+    problems.forEach((problem) => {
+      videojs.log.warn('State validation: ' + problem);
+    });
+  }
 }
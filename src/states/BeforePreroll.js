@@ -17,6 +17,14 @@ class BeforePreroll extends ContentState {
     return 'BeforePreroll';
   }
 
+  static _getTransitions() {
+    return ['Preroll'];
+  }
+
+  static _getHandledEvents() {
+    return ['adsready', 'play', 'adscanceled', 'adserror', 'nopreroll', 'contentchanged'];
+  }
+
   /*
    * For state transitions to work correctly, initialization should
    * happen here, not in a constructor.
@@ -44,7 +52,7 @@ class BeforePreroll extends ContentState {
    * content playback is blocked by the ad plugin.
    */
   onPlay(player) {
-    const Preroll = States.getState('Preroll');
+    const Preroll = States.getState('Preroll', this.player);
 
     player.ads.debug('Received play event (BeforePreroll)');
 
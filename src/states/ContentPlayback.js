@@ -16,6 +16,14 @@ class ContentPlayback extends ContentState {
     return 'ContentPlayback';
   }
 
+  static _getTransitions() {
+    return super._getTransitions().concat(['Postroll', 'Midroll']);
+  }
+
+  static _getHandledEvents() {
+    return super._getHandledEvents().concat(['adsready', 'readyforpostroll']);
+  }
+
   /*
    * For state transitions to work correctly, initialization should
    * happen here, not in a constructor.
@@ -43,21 +51,45 @@ class ContentPlayback extends ContentState {
    * Content ended before postroll checks.
    */
   onReadyForPostroll(player) {
-    const Postroll = States.getState('Postroll');
+    const Postroll = States.getState('Postroll', this.player);
 
     player.ads.debug('Received readyforpostroll event');
     this.transitionTo(Postroll);
   }
 
   /*
-   * This is how midrolls start.
+   * This is how midrolls start, unless the ad break policy vetoes or defers
+   * the break.
    */
   startLinearAdMode() {
-    const Midroll = States.getState('Midroll');
+    const Midroll = States.getState('Midroll', this.player);
+    const decision = this.player.ads.policy.check('midroll');
+
+    if (decision) {
+      this.player.ads.policy.apply('midroll', decision);
+      return;
+    }
 
     this.transitionTo(Midroll);
   }
 
+  /*
+   * Midrolls can also be requested, which pauses content until the ad plugin
+   * starts the ad break. The ad break policy can veto or defer it, as for
+   * startLinearAdMode.
+   */
+  requestMidroll() {
+    const Midroll = States.getState('Midroll', this.player);
+    const decision = this.player.ads.policy.check('midroll');
+
+    if (decision) {
+      this.player.ads.policy.apply('midroll', decision, true);
+      return;
+    }
+
+    this.transitionTo(Midroll, true);
+  }
+
 }
 
 States.registerState('ContentPlayback', ContentPlayback);
@@ -1,3 +1,4 @@
+import videojs from 'video.js';
 import States from '../states.js';
 import adBreak from '../adBreak.js';
 
@@ -12,16 +13,147 @@ class Midroll extends AdState {
     return 'Midroll';
   }
 
+  static _getTransitions() {
+    return super._getTransitions().concat(['BeforePreroll', 'Preroll']);
+  }
+
+  static _getHandledEvents() {
+    return super._getHandledEvents().concat([
+      'ads-ad-started', 'adserror', 'adtimeout', 'adscanceled', 'contentchanged'
+    ]);
+  }
+
   /*
    * Midroll breaks happen when the ad plugin calls startLinearAdMode,
-   * which can happen at any time during content playback.
+   * which can happen at any time during content playback. If the midroll
+   * was requested with requestMidroll, content pauses and `readyformidroll`
+   * is triggered first, and the ad break starts with startLinearAdMode.
    */
-  init(player) {
+  init(player, requested) {
     player.ads.adType = 'midroll';
+
+    if (requested) {
+      this.waitForAdBreak(player);
+      return;
+    }
+
     adBreak.start(player);
     player.addClass('vjs-ad-loading');
   }
 
+  /*
+   * Pause content with a loading spinner until the ad plugin starts the ad
+   * break, or until the midroll timeout.
+   */
+  waitForAdBreak(player) {
+    let timeout = player.ads.settings.timeout;
+
+    if (typeof player.ads.settings.midrollTimeout === 'number') {
+      timeout = player.ads.settings.midrollTimeout;
+    }
+
+    this.waitingForAdBreak = true;
+
+    // Content plays again if there is no midroll after all
+    this.resumeContent = !player.paused();
+
+    player.ads._shouldBlockPlay = true;
+    player.addClass('vjs-ad-loading');
+    player.ads._bypassMiddleware(() => player.pause());
+
+    this._timeout = player.setTimeout(function() {
+      player.trigger('adtimeout');
+    }, timeout);
+
+    player.ads.debug('Triggered readyformidroll event (Midroll)');
+    player.trigger('readyformidroll');
+  }
+
+  /*
+   * The ad plugin started the requested midroll.
+   */
+  startLinearAdMode() {
+    const player = this.player;
+
+    if (this.waitingForAdBreak) {
+      this.clearTimeout(player);
+      this.waitingForAdBreak = false;
+      player.ads._shouldBlockPlay = false;
+      adBreak.start(player);
+    } else {
+      videojs.log.warn('Unexpected startLinearAdMode invocation (Midroll)');
+    }
+  }
+
+  /*
+   * The ad plugin has no midroll to play after all.
+   */
+  skipLinearAdMode() {
+    if (this.waitingForAdBreak) {
+      this.player.trigger('adskip');
+      this.resumeAfterNoMidroll(this.player);
+    } else {
+      videojs.log.warn('Unexpected skipLinearAdMode invocation (Midroll)');
+    }
+  }
+
+  /*
+   * Ads were canceled while waiting for the requested midroll.
+   */
+  onAdsCanceled(player) {
+    if (this.waitingForAdBreak) {
+      this.resumeAfterNoMidroll(player);
+    }
+  }
+
+  /*
+   * The content source changed while waiting for a requested midroll. The
+   * new content gets its own preroll check, as it does during content
+   * playback. Content that was playing when the midroll was requested is
+   * considered playing.
+   */
+  onContentChanged(player) {
+    if (!this.waitingForAdBreak) {
+      return;
+    }
+
+    this.clearTimeout(player);
+    this.waitingForAdBreak = false;
+
+    if (this.resumeContent) {
+      const Preroll = States.getState('Preroll', player);
+
+      this.transitionTo(Preroll, false);
+      player.ads._pausedOnContentupdate = true;
+    } else {
+      const BeforePreroll = States.getState('BeforePreroll', player);
+
+      this.transitionTo(BeforePreroll);
+    }
+  }
+
+  /*
+   * Go back to content without a midroll. Content plays again if it was
+   * playing when the midroll was requested.
+   */
+  resumeAfterNoMidroll(player) {
+    const ContentPlayback = States.getState('ContentPlayback', player);
+
+    player.ads.debug('Resuming content without a midroll (Midroll)');
+    this.clearTimeout(player);
+    this.waitingForAdBreak = false;
+    player.ads.adType = null;
+    this.transitionTo(ContentPlayback);
+
+    if (this.resumeContent && player.paused()) {
+      const playPromise = player.play();
+
+      if (playPromise && playPromise.then) {
+        playPromise.then(null, (e) => {});
+      }
+    }
+  }
+
   /*
    * An ad has actually started playing.
    * Remove the loading spinner.
@@ -45,23 +177,46 @@ class Midroll extends AdState {
   }
 
   /*
-   * End midroll break if there is an error.
+   * End midroll break if there is an error, unless the ad plugin moves on
+   * to the next ad. Play content if there is an error while waiting for a
+   * requested midroll.
+   */
+  onAdsError(player, event) {
+    if (this.inAdBreak()) {
+      this.onAdsErrorInAdBreak(player, event);
+    } else if (this.waitingForAdBreak) {
+      this.resumeAfterNoMidroll(player);
+    }
+  }
+
+  /*
+   * An ad took too long to start or stalled. This is handled like an ad
+   * error. If the requested midroll took too long, play content instead.
    */
-  onAdsError(player) {
-    // In the future, we may not want to do this automatically.
-    // Ad plugins should be able to choose to continue the ad break
-    // if there was an error.
+  onAdTimeout(player, event) {
     if (this.inAdBreak()) {
-      player.ads.endLinearAdMode();
+      this.onAdsErrorInAdBreak(player, event);
+    } else if (this.waitingForAdBreak) {
+      player.ads.debug('adtimeout (Midroll)');
+      this.resumeAfterNoMidroll(player);
     }
   }
 
   /*
-   * Cleanup CSS classes.
+   * Cleanup CSS classes and the midroll timeout.
    */
   cleanup(player) {
     player.removeClass('vjs-ad-loading');
     player.removeClass('vjs-ad-content-resuming');
+    this.clearTimeout(player);
+  }
+
+  /*
+   * Clear the midroll timeout and nulls out the pointer.
+   */
+  clearTimeout(player) {
+    player.clearTimeout(this._timeout);
+    this._timeout = null;
   }
 
 }
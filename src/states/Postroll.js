@@ -13,6 +13,16 @@ class Postroll extends AdState {
     return 'Postroll';
   }
 
+  static _getTransitions() {
+    return super._getTransitions().concat(['AdsDone', 'BeforePreroll', 'Preroll']);
+  }
+
+  static _getHandledEvents() {
+    return super._getHandledEvents().concat([
+      'ads-ad-started', 'adtimeout', 'adserror', 'contentchanged', 'nopostroll'
+    ]);
+  }
+
   /*
    * For state transitions to work correctly, initialization should
    * happen here, not in a constructor.
@@ -42,7 +52,7 @@ class Postroll extends AdState {
     } else {
       this.resumeContent(player);
 
-      const AdsDone = States.getState('AdsDone');
+      const AdsDone = States.getState('AdsDone', this.player);
 
       this.transitionTo(AdsDone);
     }
@@ -77,7 +87,7 @@ class Postroll extends AdState {
    */
   endLinearAdMode() {
     const player = this.player;
-    const AdsDone = States.getState('AdsDone');
+    const AdsDone = States.getState('AdsDone', this.player);
 
     if (this.inAdBreak()) {
       player.removeClass('vjs-ad-loading');
@@ -104,24 +114,28 @@ class Postroll extends AdState {
   }
 
   /*
-   * Postroll timed out, time to clean up.
+   * Postroll timed out, time to clean up. During the ad break, an ad took
+   * too long to start or stalled, which is handled like an ad error.
    */
-  onAdTimeout(player) {
+  onAdTimeout(player, event) {
+    if (player.ads.inAdBreak()) {
+      this.onAdsErrorInAdBreak(player, event);
+      return;
+    }
+
     player.ads.debug('Postroll abort (adtimeout)');
     this.abort(player);
   }
 
   /*
-   * Postroll errored out, time to clean up.
+   * Postroll errored out, time to clean up. During the ad break, the ad
+   * plugin can move on to the next ad instead.
    */
-  onAdsError(player) {
+  onAdsError(player, event) {
     player.ads.debug('Postroll abort (adserror)');
 
-    // In the future, we may not want to do this automatically.
-    // Ad plugins should be able to choose to continue the ad break
-    // if there was an error.
     if (player.ads.inAdBreak()) {
-      player.ads.endLinearAdMode();
+      this.onAdsErrorInAdBreak(player, event);
     } else {
       this.abort(player);
     }
@@ -134,14 +148,14 @@ class Postroll extends AdState {
     // Content resuming after Postroll. Content is paused
     // at this point, since it is done playing.
     if (this.isContentResuming()) {
-      const BeforePreroll = States.getState('BeforePreroll');
+      const BeforePreroll = States.getState('BeforePreroll', this.player);
 
       this.transitionTo(BeforePreroll);
 
     // Waiting for postroll to start. Content is considered playing
     // at this point, since it had to be playing to start the postroll.
     } else if (!this.inAdBreak()) {
-      const Preroll = States.getState('Preroll');
+      const Preroll = States.getState('Preroll', this.player);
 
       this.transitionTo(Preroll);
     }
@@ -168,7 +182,7 @@ class Postroll extends AdState {
    * refactor this class so that `cleanup` handles all of this.
    */
   abort(player) {
-    const AdsDone = States.getState('AdsDone');
+    const AdsDone = States.getState('AdsDone', this.player);
 
     this.resumeContent(player);
     player.removeClass('vjs-ad-loading');
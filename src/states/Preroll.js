@@ -18,6 +18,12 @@ class Preroll extends AdState {
     return 'Preroll';
   }
 
+  static _getHandledEvents() {
+    return super._getHandledEvents().concat([
+      'adsready', 'adscanceled', 'adserror', 'ads-ad-started', 'adtimeout', 'nopreroll'
+    ]);
+  }
+
   /*
    * For state transitions to work correctly, initialization should
    * happen here, not in a constructor.
@@ -34,6 +40,22 @@ class Preroll extends AdState {
       return this.resumeAfterNoPreroll(player);
     }
 
+    this.startTimeout(player);
+
+    // If adsready already happened, lets get started. Otherwise,
+    // wait until onAdsReady.
+    if (adsReady) {
+      this.handleAdsReady();
+
+    } else {
+      this.adsReady = false;
+    }
+  }
+
+  /*
+   * Start the clock ticking for ad timeout.
+   */
+  startTimeout(player) {
     // Determine preroll timeout based on plugin settings
     let timeout = player.ads.settings.timeout;
 
@@ -41,19 +63,9 @@ class Preroll extends AdState {
       timeout = player.ads.settings.prerollTimeout;
     }
 
-    // Start the clock ticking for ad timeout
     this._timeout = player.setTimeout(function() {
       player.trigger('adtimeout');
     }, timeout);
-
-    // If adsready already happened, lets get started. Otherwise,
-    // wait until onAdsReady.
-    if (adsReady) {
-      this.handleAdsReady();
-
-    } else {
-      this.adsReady = false;
-    }
   }
 
   /*
@@ -107,17 +119,70 @@ class Preroll extends AdState {
 
   /*
    * Fire the readyforpreroll event. If loadstart hasn't happened yet,
-   * wait until loadstart first.
+   * wait until loadstart first. If the ad break policy vetoes the preroll,
+   * play content instead. With the `autoplayPolicy` option, wait until the
+   * autoplay capability is known too.
    */
   readyForPreroll() {
     const player = this.player;
 
     this.afterLoadStart(() => {
-      player.ads.debug('Triggered readyforpreroll event (Preroll)');
-      player.trigger('readyforpreroll');
+      const decision = player.ads.policy.check('preroll');
+
+      if (decision) {
+        player.ads.policy.apply('preroll', decision);
+        this.resumeAfterNoPreroll(player);
+        return;
+      }
+
+      if (player.ads.settings.autoplayPolicy) {
+        player.ads.autoplay.whenDetected(() => {
+          this.applyAutoplayPolicy();
+        });
+      } else {
+        this.triggerReadyForPreroll();
+      }
     });
   }
 
+  /*
+   * If the preroll would autoplay in a browser that restricts autoplay, the
+   * `autoplayPolicy` option decides what happens.
+   */
+  applyAutoplayPolicy() {
+    const player = this.player;
+    const autoplayPolicy = player.ads.autoplay.check();
+
+    if (autoplayPolicy === 'skip') {
+      player.ads.debug('Skipping the preroll because autoplay is restricted (Preroll)');
+      this.resumeAfterNoPreroll(player);
+      return;
+    }
+
+    if (autoplayPolicy === 'click') {
+      // The ad timeout starts again after the click
+      this.clearTimeout(player);
+      player.removeClass('vjs-ad-loading');
+      player.ads.autoplay.waitForClick(() => {
+        player.addClass('vjs-ad-loading');
+        this.startTimeout(player);
+        this.triggerReadyForPreroll();
+      });
+      return;
+    }
+
+    if (autoplayPolicy === 'muted') {
+      player.ads.autoplay.mute();
+    }
+
+    this.triggerReadyForPreroll();
+  }
+
+  triggerReadyForPreroll() {
+    this.player.ads.debug('Triggered readyforpreroll event (Preroll)');
+    this.player.trigger('readyforpreroll');
+  }
+
   /*
    * adscanceled cancels all ads for the source. Play content now.
    */
@@ -130,15 +195,13 @@ class Preroll extends AdState {
   }
 
   /*
-   * An ad error occured. Play content instead.
+   * An ad error occured. Play content instead, or continue the ad break if
+   * the ad plugin moves on to the next ad.
    */
-  onAdsError(player) {
+  onAdsError(player, event) {
     videojs.log('adserror (Preroll)');
-    // In the future, we may not want to do this automatically.
-    // Ad plugins should be able to choose to continue the ad break
-    // if there was an error.
     if (this.inAdBreak()) {
-      player.ads.endLinearAdMode();
+      this.onAdsErrorInAdBreak(player, event);
 
     } else {
       this.afterLoadStart(() => {
@@ -206,9 +269,15 @@ class Preroll extends AdState {
   }
 
   /*
-   * Prerolls took too long! Play content instead.
+   * Prerolls took too long! Play content instead. During the ad break, an ad
+   * took too long to start or stalled, which is handled like an ad error.
    */
-  onAdTimeout(player) {
+  onAdTimeout(player, event) {
+    if (this.inAdBreak()) {
+      this.onAdsErrorInAdBreak(player, event);
+      return;
+    }
+
     this.afterLoadStart(() => {
       player.ads.debug('adtimeout (Preroll)');
       this.resumeAfterNoPreroll(player);
@@ -260,6 +329,7 @@ class Preroll extends AdState {
    * used mainly in cases where a preroll failed.
    */
   cleanupPartial(player) {
+    player.ads.autoplay.cancelWait();
     player.removeClass('vjs-ad-loading');
     player.removeClass('vjs-ad-content-resuming');
     this.clearTimeout(player);
@@ -12,6 +12,14 @@ class StitchedAdRoll extends AdState {
     return 'StitchedAdRoll';
   }
 
+  static _getTransitions() {
+    return ['StitchedContentPlayback'];
+  }
+
+  static _getHandledEvents() {
+    return ['adended'];
+  }
+
   /*
    * StitchedAdRoll breaks happen when the ad plugin calls startLinearAdMode,
    * which can happen at any time during content playback.
@@ -50,7 +58,7 @@ class StitchedAdRoll extends AdState {
    * StitchedAdRoll break is done.
    */
   endLinearAdMode() {
-    const StitchedContentPlayback = States.getState('StitchedContentPlayback');
+    const StitchedContentPlayback = States.getState('StitchedContentPlayback', this.player);
 
     adBreak.end(this.player);
     this.transitionTo(StitchedContentPlayback);
@@ -14,6 +14,14 @@ class StitchedContentPlayback extends ContentState {
     return 'StitchedContentPlayback';
   }
 
+  static _getTransitions() {
+    return ['StitchedAdRoll'];
+  }
+
+  static _getHandledEvents() {
+    return [];
+  }
+
   /*
    * For state transitions to work correctly, initialization should
    * happen here, not in a constructor.
@@ -37,7 +45,7 @@ class StitchedContentPlayback extends ContentState {
    * This is how stitched ads start.
    */
   startLinearAdMode() {
-    const StitchedAdRoll = States.getState('StitchedAdRoll');
+    const StitchedAdRoll = States.getState('StitchedAdRoll', this.player);
 
     this.transitionTo(StitchedAdRoll);
   }
@@ -8,6 +8,17 @@ import State from './State.js';
  */
 class AdState extends State {
 
+  /*
+   * Content playback follows once content resumes after an ad break.
+   */
+  static _getTransitions() {
+    return ['ContentPlayback'];
+  }
+
+  static _getHandledEvents() {
+    return ['playing', 'contentresumed'];
+  }
+
   constructor(player) {
     super(player);
     this.contentResuming = false;
@@ -26,7 +37,7 @@ class AdState extends State {
    * moment that content playback is no longer blocked by ads.
    */
   onPlaying() {
-    const ContentPlayback = States.getState('ContentPlayback');
+    const ContentPlayback = States.getState('ContentPlayback', this.player);
 
     if (this.contentResuming) {
       this.transitionTo(ContentPlayback);
@@ -39,13 +50,37 @@ class AdState extends State {
    * resume. The main use case for this is when ads are stitched into the content video.
    */
   onContentResumed() {
-    const ContentPlayback = States.getState('ContentPlayback');
+    const ContentPlayback = States.getState('ContentPlayback', this.player);
 
     if (this.contentResuming) {
       this.transitionTo(ContentPlayback);
     }
   }
 
+  /*
+   * An ad error, or an ad timeout, happened during the ad break. This ends the
+   * ad break, unless the error was for one ad of the pod and the ad plugin
+   * moves on to the next: the event has `continueBreak: true`, or the
+   * `continueBreakOnAdError` option is on and the event does not have
+   * `continueBreak: false`. The error is then recorded on the pod and the ad
+   * break only ends if there are no more ads in the pod.
+   */
+  onAdsErrorInAdBreak(player, event) {
+    const continueBreak = event && typeof event.continueBreak === 'boolean' ?
+      event.continueBreak : player.ads.settings.continueBreakOnAdError;
+
+    if (continueBreak) {
+      player.ads.pod.recordError(event);
+
+      if (!player.ads.pod.isExhausted()) {
+        player.ads.debug('Continuing the ad break after an ad error');
+        return;
+      }
+    }
+
+    player.ads.endLinearAdMode();
+  }
+
   /*
    * Check if we are in an ad state waiting for the ad plugin to start
    * an ad break.
@@ -3,6 +3,17 @@ import State from './State.js';
 
 class ContentState extends State {
 
+  /*
+   * Source changes go back to preroll checks.
+   */
+  static _getTransitions() {
+    return ['BeforePreroll', 'Preroll'];
+  }
+
+  static _getHandledEvents() {
+    return ['contentchanged'];
+  }
+
   /*
    * Overrides State.isAdState
    */
@@ -15,15 +26,15 @@ class ContentState extends State {
    * fire during ad breaks, so we don't need to worry about that.
    */
   onContentChanged(player) {
-    const BeforePreroll = States.getState('BeforePreroll');
-    const Preroll = States.getState('Preroll');
+    const BeforePreroll = States.getState('BeforePreroll', this.player);
+    const Preroll = States.getState('Preroll', this.player);
 
     player.ads.debug('Received contentchanged event (ContentState)');
     if (player.paused()) {
       this.transitionTo(BeforePreroll);
     } else {
       this.transitionTo(Preroll, false);
-      player.pause();
+      player.ads._bypassMiddleware(() => player.pause());
       player.ads._pausedOnContentupdate = true;
     }
   }
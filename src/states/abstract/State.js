@@ -1,12 +1,52 @@
 import videojs from 'video.js';
 import States from '../../states.js';
 
+// The handler method that is called for each event
+const EVENT_HANDLERS = {
+  'play': 'onPlay',
+  'adsready': 'onAdsReady',
+  'adserror': 'onAdsError',
+  'adscanceled': 'onAdsCanceled',
+  'adtimeout': 'onAdTimeout',
+  'ads-ad-started': 'onAdStarted',
+  'contentchanged': 'onContentChanged',
+  'contentresumed': 'onContentResumed',
+  'readyforpostroll': 'onReadyForPostroll',
+  'playing': 'onPlaying',
+  'ended': 'onEnded',
+  'nopreroll': 'onNoPreroll',
+  'nopostroll': 'onNoPostroll',
+  'adended': 'onAdEnded'
+};
+
 class State {
 
   static _getName() {
     return 'Anonymous State';
   }
 
+  /*
+   * The names of the states this state can transition to. States that change
+   * the transitions of the class they extend must declare their own list.
+   */
+  static _getTransitions() {
+    return [];
+  }
+
+  /*
+   * The events this state has a handler for. Used by States.validate().
+   */
+  static _getHandledEvents() {
+    return [];
+  }
+
+  /*
+   * The name of the handler method for an event, if states handle it.
+   */
+  static _getEventHandler(type) {
+    return EVENT_HANDLERS.hasOwnProperty(type) ? EVENT_HANDLERS[type] : undefined;
+  }
+
   constructor(player) {
     this.player = player;
   }
@@ -18,6 +58,15 @@ class State {
    */
   transitionTo(NewState, ...args) {
     const player = this.player;
+    const from = this.constructor;
+
+    // Custom states are easy to get wrong, so undeclared transitions are
+    // reported while debugging
+    if (player.ads.settings && player.ads.settings.debug &&
+        from._getTransitions().indexOf(NewState._getName()) === -1) {
+      videojs.log.warn(`Undeclared state transition: ${from._getName()} -> ` +
+        NewState._getName());
+    }
 
     // Since State is an abstract class, this will refer to
     // the state that is extending this class
@@ -27,6 +76,15 @@ class State {
     player.ads._state = newState;
     player.ads.debug(this.constructor._getName() + ' -> ' +
       newState.constructor._getName());
+
+    // The cause is the event or method that is being handled, if any
+    player.trigger({
+      type: 'adstatechange',
+      from: this.constructor._getName(),
+      to: newState.constructor._getName(),
+      cause: player.ads._cause || null
+    });
+
     newState.init(player, ...args);
   }
 
@@ -79,6 +137,10 @@ class State {
     videojs.log.warn('Unexpected skipLinearAdMode invocation ' +
       '(State via ' + this.constructor._getName() + ')');
   }
+  requestMidroll() {
+    videojs.log.warn('Unexpected requestMidroll invocation ' +
+      '(State via ' + this.constructor._getName() + ')');
+  }
 
   /*
    * Overridden by ContentState and AdState. Should not be overriden elsewhere.
@@ -88,8 +150,8 @@ class State {
   }
 
   /*
-   * Overridden by Preroll and Postroll. Midrolls jump right into the ad break
-   * so there is no "waiting" state for them.
+   * Overridden by AdState for Preroll, Postroll and Midroll. Midrolls only
+   * wait for the ad break when they were requested with requestMidroll.
    */
   isWaitingForAdBreak() {
     return false;
@@ -107,39 +169,14 @@ class State {
   }
 
   /*
-   * Invoke event handler methods when events come in.
+   * Invoke event handler methods when events come in. Handlers are called
+   * with the player and the event, if there is one.
    */
-  handleEvent(type) {
-    const player = this.player;
+  handleEvent(type, event) {
+    const handler = State._getEventHandler(type);
 
-    if (type === 'play') {
-      this.onPlay(player);
-    } else if (type === 'adsready') {
-      this.onAdsReady(player);
-    } else if (type === 'adserror') {
-      this.onAdsError(player);
-    } else if (type === 'adscanceled') {
-      this.onAdsCanceled(player);
-    } else if (type === 'adtimeout') {
-      this.onAdTimeout(player);
-    } else if (type === 'ads-ad-started') {
-      this.onAdStarted(player);
-    } else if (type === 'contentchanged') {
-      this.onContentChanged(player);
-    } else if (type === 'contentresumed') {
-      this.onContentResumed(player);
-    } else if (type === 'readyforpostroll') {
-      this.onReadyForPostroll(player);
-    } else if (type === 'playing') {
-      this.onPlaying(player);
-    } else if (type === 'ended') {
-      this.onEnded(player);
-    } else if (type === 'nopreroll') {
-      this.onNoPreroll(player);
-    } else if (type === 'nopostroll') {
-      this.onNoPostroll(player);
-    } else if (type === 'adended') {
-      this.onAdEnded(player);
+    if (handler) {
+      this[handler](this.player, event);
     }
   }
 
@@ -0,0 +1,206 @@
+/*
+This feature sends tracking pixels for ads. Ad plugins register tracking URLs for
+the current ad and they are sent as the matching common interface events are
+triggered, after macro replacement.
+*/
+
+import document from 'global/document';
+
+// The tracking events that are sent when these events are triggered
+const EVENTS = {
+  'ads-ad-started': ['impression', 'start'],
+  'ads-first-quartile': ['firstQuartile'],
+  'ads-midpoint': ['midpoint'],
+  'ads-third-quartile': ['thirdQuartile'],
+  'ads-ad-ended': ['complete'],
+  'ads-ad-skipped': ['skip'],
+  'ads-click': ['click'],
+  'ads-mute': ['mute'],
+  'adserror': ['error']
+};
+
+// Tracking events that can happen more than once per ad. Other tracking events
+// are only sent once per ad.
+const REPEATABLE = ['click', 'mute'];
+
+// VAST error code for an undefined error
+const UNDEFINED_ERROR = 900;
+
+// Formats seconds as a VAST timecode, such as "00:01:05.250"
+const vastTimecode = function(seconds) {
+  const pad = (value, length) => ('000' + value).slice(-length);
+  const ms = Math.round(Math.max(0, seconds || 0) * 1000);
+
+  return pad(Math.floor(ms / 3600000), 2) + ':' +
+    pad(Math.floor(ms / 60000) % 60, 2) + ':' +
+    pad(Math.floor(ms / 1000) % 60, 2) + '.' +
+    pad(ms % 1000, 3);
+};
+
+/*
+ * Sends a request with an image, like a browser would for a tracking pixel.
+ * Many tracking servers don't respond with an image, so a failed image load
+ * is not treated as a failed request.
+ * @param {string} url The URL to request
+ * @param {Function} callback Called when the request is done
+ */
+const imageTransport = function(url, callback) {
+  const img = document.createElement('img');
+
+  img.onload = img.onerror = function() {
+    img.onload = img.onerror = null;
+    callback(null);
+  };
+  img.src = url;
+};
+
+export default function getTracking(player) {
+
+  // Tracking URLs sent for the current ad, by event and URL
+  let sent = {};
+
+  let transport = imageTransport;
+
+  const tracking = {
+
+    // Tracking URLs for the current ad, by tracking event
+    urls: {},
+
+    // Requests that are being sent or waiting to be retried
+    queue: [],
+
+    /*
+     * Registers tracking URLs for the current ad. Register URLs before the ad
+     * starts so that impressions can be sent. They are cleared when the ad ends.
+     * @param {string} event impression, start, firstQuartile, midpoint,
+     *        thirdQuartile, complete, skip, click, mute, error or `progress`
+     *        followed by a space and a progress offset. Any other event can be
+     *        sent with `fire`.
+     * @param {string|Array} urls One or more URLs, which can contain macros
+     */
+    register(event, urls) {
+      const list = tracking.urls[event] = tracking.urls[event] || [];
+
+      [].concat(urls || []).forEach((url) => {
+        if (url && list.indexOf(url) === -1) {
+          list.push(url);
+        }
+      });
+    },
+
+    /*
+     * Clears the tracking URLs of the current ad. This happens automatically
+     * when an ad or ad break ends.
+     */
+    reset() {
+      tracking.urls = {};
+      sent = {};
+    },
+
+    /*
+     * Sends the tracking URLs registered for an event.
+     * @param {string} event The tracking event
+     * @param {Object} [macros] Additional macros, such as `{'[ERRORCODE]': 405}`
+     */
+    fire(event, macros) {
+      (tracking.urls[event] || []).forEach((url) => {
+        const key = event + ' ' + url;
+
+        if (sent[key] && REPEATABLE.indexOf(event) === -1) {
+          return;
+        }
+        sent[key] = true;
+
+        player.ads.debug(`Sending ${event} tracking`);
+        tracking.send(player.ads.adMacroReplacement(url, true, tracking.vastMacros_(macros)));
+      });
+    },
+
+    /*
+     * The VAST macros of tracking URLs, in addition to the contrib-ads macros.
+     * During an ad break the content playhead is the time the content was at
+     * when the break started.
+     * @param {Object} [macros] Macros that take precedence
+     * @return {Object} The macros, for adMacroReplacement
+     */
+    vastMacros_(macros = {}) {
+      const snapshot = player.ads.snapshot;
+      const contentTime = snapshot && player.ads.isInAdMode() ?
+        snapshot.currentTime : player.currentTime();
+      const result = {
+        '[CACHEBUSTING]': ('0000000' + Math.floor(Math.random() * 100000000)).slice(-8),
+        '[CONTENTPLAYHEAD]': vastTimecode(contentTime),
+        '[ERRORCODE]': ''
+      };
+
+      Object.keys(macros).forEach((name) => {
+        result[name] = macros[name];
+      });
+
+      return result;
+    },
+
+    /*
+     * Sends a request, retrying up to `trackingRetries` times if the transport
+     * reports an error.
+     * @param {string} url The URL to request, with macros already replaced
+     */
+    send(url) {
+      const request = {url, attempts: 0};
+
+      tracking.queue.push(request);
+      tracking.attempt_(request);
+    },
+
+    /*
+     * Replaces the way requests are sent, for example to use `sendBeacon` or
+     * to test without a network.
+     * @param {Function} fn Called with a URL and a callback, which must be
+     *        called with an error if the request failed
+     */
+    setTransport(fn) {
+      transport = fn || imageTransport;
+    },
+
+    attempt_(request) {
+      request.attempts++;
+
+      transport(request.url, (error) => {
+        const settings = player.ads.settings;
+
+        if (error && request.attempts <= settings.trackingRetries) {
+          player.setTimeout(() => {
+            tracking.attempt_(request);
+          }, settings.trackingRetryDelay * request.attempts);
+          return;
+        }
+
+        if (error) {
+          player.ads.debug(`Tracking request failed: ${request.url}`);
+        }
+
+        tracking.queue.splice(tracking.queue.indexOf(request), 1);
+      });
+    }
+  };
+
+  Object.keys(EVENTS).forEach((type) => {
+    player.on(type, (e) => {
+      EVENTS[type].forEach((event) => {
+        tracking.fire(event, event === 'error' ? {
+          '[ERRORCODE]': (e.adError && e.adError.code) || e.code || UNDEFINED_ERROR
+        } : {});
+      });
+    });
+  });
+
+  // Progress tracking is registered for each offset of `player.ads.progress`
+  player.on('ads-progress', (e) => {
+    tracking.fire('progress ' + e.offset);
+  });
+
+  // A skipped ad is not complete, so its tracking is cleared right away
+  player.on(['ads-ad-ended', 'ads-ad-skipped', 'adend'], tracking.reset);
+
+  return tracking;
+}
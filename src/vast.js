@@ -0,0 +1,515 @@
+/*
+This feature parses VAST 2, 3 and 4 responses into a normalized ad pod and plays
+that pod using the linear ad mode API. Ad plugins that already handle VAST
+themselves do not need to use it.
+*/
+
+import window from 'global/window';
+import videojs from 'video.js';
+
+// The subset of the VAST error codes reported by this feature.
+export const VAST_ERRORS = {
+  XML_PARSE: 100,
+  VERSION_UNSUPPORTED: 102,
+  WRAPPER_TIMEOUT: 301,
+  WRAPPER_LIMIT: 302,
+  WRAPPER_NO_ADS: 303,
+  NO_SUPPORTED_MEDIA: 403,
+  UNDEFINED: 900
+};
+
+const vastError = function(code, message) {
+  const error = new Error(message);
+
+  error.code = code;
+  return error;
+};
+
+// Returns the child elements of `el` with the given tag name, ignoring
+// namespace prefixes such as "vmap:". Unlike getElementsByTagName, this does
+// not descend into grandchildren.
+export const childrenByName = function(el, name) {
+  const children = [];
+
+  if (!el) {
+    return children;
+  }
+
+  for (let i = 0; i < el.childNodes.length; i++) {
+    const child = el.childNodes[i];
+
+    if (child.nodeType === 1 && (child.localName || child.nodeName) === name) {
+      children.push(child);
+    }
+  }
+
+  return children;
+};
+
+export const firstChild = function(el, name) {
+  return childrenByName(el, name)[0];
+};
+
+// Text content of an element with whitespace and CDATA padding removed.
+export const textOf = function(el) {
+  return el ? (el.textContent || '').trim() : '';
+};
+
+// Text content of every child element with the given name, skipping empty ones.
+const textsOf = function(el, name) {
+  return childrenByName(el, name).map(textOf).filter((text) => text !== '');
+};
+
+/*
+ * Converts a VAST timecode (HH:MM:SS or HH:MM:SS.mmm) to seconds.
+ * @param {string} timecode The VAST timecode
+ * @return {number} The time in seconds, or NaN if the timecode is invalid
+ */
+export function parseTime(timecode) {
+  const match = /^(\d+):(\d{2}):(\d{2}(\.\d+)?)$/.exec((timecode || '').trim());
+
+  if (!match) {
+    return NaN;
+  }
+
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/*
+ * Converts a VAST offset, which may be a timecode or a percentage, to seconds.
+ * @param {string} offset The VAST offset, such as "00:00:05" or "25%"
+ * @param {number} duration The duration of the ad, used for percentages
+ * @return {number} The offset in seconds, or NaN if it could not be determined
+ */
+export function parseOffset(offset, duration) {
+  const percent = /^(\d+(\.\d+)?)%$/.exec((offset || '').trim());
+
+  if (percent) {
+    return duration * parseFloat(percent[1]) / 100;
+  }
+
+  return parseTime(offset);
+}
+
+const parseLinear = function(linear) {
+  const duration = parseTime(textOf(firstChild(linear, 'Duration')));
+  const result = {
+    duration,
+    skipOffset: parseOffset(linear.getAttribute('skipoffset'), duration),
+    mediaFiles: [],
+    trackingEvents: {},
+    progressEvents: [],
+    clickThrough: '',
+    clickTracking: []
+  };
+
+  childrenByName(firstChild(linear, 'MediaFiles'), 'MediaFile').forEach((mediaFile) => {
+    const src = textOf(mediaFile);
+
+    if (src) {
+      result.mediaFiles.push({
+        src,
+        type: mediaFile.getAttribute('type') || '',
+        delivery: mediaFile.getAttribute('delivery') || '',
+        width: parseInt(mediaFile.getAttribute('width'), 10) || 0,
+        height: parseInt(mediaFile.getAttribute('height'), 10) || 0,
+        bitrate: parseInt(mediaFile.getAttribute('bitrate'), 10) || 0
+      });
+    }
+  });
+
+  childrenByName(firstChild(linear, 'TrackingEvents'), 'Tracking').forEach((tracking) => {
+    const name = tracking.getAttribute('event');
+    const url = textOf(tracking);
+
+    if (!name || !url) {
+      return;
+    }
+
+    // Progress events are the only ones with an offset of their own
+    if (name === 'progress') {
+      result.progressEvents.push({offset: tracking.getAttribute('offset'), url});
+    } else {
+      result.trackingEvents[name] = (result.trackingEvents[name] || []).concat(url);
+    }
+  });
+
+  const videoClicks = firstChild(linear, 'VideoClicks');
+
+  result.clickThrough = textOf(firstChild(videoClicks, 'ClickThrough'));
+  result.clickTracking = textsOf(videoClicks, 'ClickTracking');
+
+  return result;
+};
+
+const parseAd = function(adEl) {
+  const inline = firstChild(adEl, 'InLine');
+  const wrapper = firstChild(adEl, 'Wrapper');
+  const body = inline || wrapper;
+
+  if (!body) {
+    return null;
+  }
+
+  const sequence = parseInt(adEl.getAttribute('sequence'), 10);
+  const ad = {
+    id: adEl.getAttribute('id') || '',
+    sequence: isNaN(sequence) ? null : sequence,
+    adSystem: textOf(firstChild(body, 'AdSystem')),
+    adTitle: textOf(firstChild(body, 'AdTitle')),
+    isWrapper: !inline,
+    vastAdTagURI: wrapper ? textOf(firstChild(wrapper, 'VASTAdTagURI')) : '',
+    impressions: textsOf(body, 'Impression'),
+    errorUrls: textsOf(body, 'Error')
+  };
+  const linear = body.getElementsByTagName('Linear')[0];
+
+  // Inline ads without a linear creative cannot be played in linear ad mode.
+  // Wrappers may leave out the creative and only contribute tracking.
+  if (!linear && inline) {
+    return null;
+  }
+
+  return videojs.mergeOptions(ad, parseLinear(linear || adEl.ownerDocument.createElement('Linear')));
+};
+
+/*
+ * Parses a VAST response into a normalized ad pod. Only linear ads are kept.
+ * If the response contains an ad pod (ads with a sequence attribute), only the
+ * pod is kept and it is sorted by sequence. Otherwise all standalone ads are
+ * kept in document order.
+ * @param {string|Document|Element} xml The VAST response, or a VAST element
+ *        embedded in another document
+ * @return {Object} The ad pod, which has `version`, `ads` and `errorUrls`
+ */
+export function parseVast(xml) {
+  let doc = xml;
+
+  if (typeof xml === 'string') {
+    doc = new window.DOMParser().parseFromString(xml, 'text/xml');
+  }
+
+  const root = doc && (doc.nodeType === 1 ? doc : doc.documentElement);
+
+  if (!root || root.nodeName !== 'VAST' ||
+      doc.getElementsByTagName('parsererror').length > 0) {
+    throw vastError(VAST_ERRORS.XML_PARSE, 'The VAST response could not be parsed');
+  }
+
+  const version = root.getAttribute('version') || '';
+
+  if (!/^[234](\.|$)/.test(version)) {
+    throw vastError(VAST_ERRORS.VERSION_UNSUPPORTED, `VAST version "${version}" is not supported`);
+  }
+
+  const ads = childrenByName(root, 'Ad').map(parseAd).filter((ad) => ad !== null);
+  const podAds = ads.filter((ad) => ad.sequence !== null);
+
+  podAds.sort((a, b) => a.sequence - b.sequence);
+
+  return {
+    version,
+    ads: podAds.length > 0 ? podAds : ads,
+    errorUrls: textsOf(root, 'Error')
+  };
+}
+
+/*
+ * Returns a copy of `ad` with the tracking of the wrapper that led to it added.
+ * Wrapper tracking comes first because the wrapper was requested first.
+ */
+const mergeWrapper = function(wrapperAd, ad) {
+  const merged = videojs.mergeOptions(ad, {
+    impressions: wrapperAd.impressions.concat(ad.impressions),
+    errorUrls: wrapperAd.errorUrls.concat(ad.errorUrls),
+    progressEvents: wrapperAd.progressEvents.concat(ad.progressEvents),
+    clickTracking: wrapperAd.clickTracking.concat(ad.clickTracking)
+  });
+
+  Object.keys(wrapperAd.trackingEvents).forEach((name) => {
+    merged.trackingEvents[name] = wrapperAd.trackingEvents[name]
+      .concat(ad.trackingEvents[name] || []);
+  });
+
+  return merged;
+};
+
+/*
+ * Picks the media file of an ad that the player is most likely to play well:
+ * a supported type with the width closest to the player width.
+ * @param {Object} player The videojs player object
+ * @param {Object} ad An ad from a parsed pod
+ * @return {Object|undefined} The media file, if there is a supported one
+ */
+export function selectMediaFile(player, ad) {
+  const width = player.currentWidth() || 0;
+  let selected;
+
+  ad.mediaFiles.forEach((mediaFile) => {
+    if (mediaFile.delivery === 'streaming' && !mediaFile.type) {
+      return;
+    }
+
+    if (mediaFile.type && !player.canPlayType(mediaFile.type)) {
+      return;
+    }
+
+    if (!selected ||
+        Math.abs(mediaFile.width - width) < Math.abs(selected.width - width)) {
+      selected = mediaFile;
+    }
+  });
+
+  return selected;
+}
+
+export default function getVast(player) {
+
+  const vast = {
+
+    /*
+     * Parses a VAST response. @see parseVast
+     */
+    parse(xml) {
+      return parseVast(xml);
+    },
+
+    /*
+     * Requests a VAST document and parses it, following wrappers until inline
+     * ads are found or `vastWrapperLimit` wrappers have been followed.
+     * @param {string} url The VAST ad tag URL
+     * @param {Function} callback Called with an error or the ad pod
+     */
+    load(url, callback) {
+      vast.request_(url, 0, callback);
+    },
+
+    /*
+     * Resolves the wrappers in an already parsed pod. @see load
+     * @param {Object} pod An ad pod, as returned by parse
+     * @param {Function} callback Called with an error or the ad pod
+     */
+    resolveWrappers(pod, callback) {
+      vast.resolve_(pod, 0, callback);
+    },
+
+    request_(url, depth, callback) {
+      player.ads.debug(`Requesting VAST (wrapper depth ${depth}): ${url}`);
+
+      videojs.xhr({
+        uri: url,
+        timeout: player.ads.settings.timeout
+      }, (error, response, body) => {
+        if (error || response.statusCode >= 400) {
+          // 301 is only for the requests of wrappers that timed out
+          if (depth > 0 && error && error.code === 'ETIMEDOUT') {
+            return callback(vastError(
+              VAST_ERRORS.WRAPPER_TIMEOUT,
+              `The VAST request to ${url} timed out`
+            ));
+          }
+
+          return callback(vastError(
+            VAST_ERRORS.UNDEFINED,
+            `The VAST request to ${url} failed`
+          ));
+        }
+
+        let pod;
+
+        try {
+          pod = parseVast(response.responseXML || body);
+        } catch (e) {
+          return callback(e);
+        }
+
+        vast.resolve_(pod, depth, callback);
+      });
+    },
+
+    resolve_(pod, depth, callback) {
+      const resolved = [];
+      let firstError = null;
+      let pending = pod.ads.length;
+
+      const done = function() {
+        const ads = [];
+
+        resolved.forEach((list) => {
+          ads.push.apply(ads, list || []);
+        });
+
+        if (ads.length === 0 && firstError) {
+          return callback(firstError);
+        }
+
+        callback(null, videojs.mergeOptions(pod, {ads}));
+      };
+
+      if (pending === 0) {
+        return done();
+      }
+
+      pod.ads.forEach((ad, i) => {
+        const settle = function(error, ads) {
+          if (error && !firstError) {
+            firstError = error;
+          }
+          resolved[i] = ads;
+          if (--pending === 0) {
+            done();
+          }
+        };
+
+        if (!ad.isWrapper) {
+          return settle(null, [ad]);
+        }
+
+        if (depth >= player.ads.settings.vastWrapperLimit) {
+          return settle(vastError(
+            VAST_ERRORS.WRAPPER_LIMIT,
+            'The VAST wrapper limit was reached'
+          ));
+        }
+
+        vast.request_(ad.vastAdTagURI, depth + 1, (error, wrappedPod) => {
+          if (error) {
+            return settle(error);
+          }
+
+          if (wrappedPod.ads.length === 0) {
+            return settle(vastError(
+              VAST_ERRORS.WRAPPER_NO_ADS,
+              'The VAST wrapper did not lead to any ads'
+            ));
+          }
+
+          settle(null, wrappedPod.ads.map((wrappedAd) => mergeWrapper(ad, wrappedAd)));
+        });
+      });
+    },
+
+    /*
+     * Plays the ads of a pod one after another in a single ad break. Call this
+     * where you would call startLinearAdMode: after `readyforpreroll`, after
+     * `readyforpostroll` or during content playback for a midroll.
+     * @param {Object} pod An ad pod with wrappers resolved
+     * @param {Function} [callback] Called when the ad break is over, with an
+     *        error if it could not start
+     */
+    playPod(pod, callback = () => {}) {
+      const ads = pod.ads.filter((ad) => !ad.isWrapper && selectMediaFile(player, ad));
+      let index = 0;
+
+      if (ads.length === 0) {
+        return callback(vastError(
+          VAST_ERRORS.NO_SUPPORTED_MEDIA,
+          'The VAST pod has no ads with a supported media file'
+        ));
+      }
+
+      const noBreak = function() {
+        callback(vastError(
+          VAST_ERRORS.UNDEFINED,
+          'The ad break for the VAST pod could not be started'
+        ));
+      };
+
+      // Ads that failed before they played are left out of the pod
+      const onAdPlaying = function() {
+        player.ads.pod.startAd(undefined, index - 1);
+      };
+
+      // Progress offsets that the ads of the pod added to `player.ads.progress`
+      const progressOffsets = [];
+
+      const playNext = function() {
+        if (index >= ads.length) {
+          player.ads.endLinearAdMode();
+          return;
+        }
+
+        const ad = ads[index++];
+
+        player.ads.tracking.register('impression', ad.impressions);
+        player.ads.tracking.register('click', ad.clickTracking);
+        player.ads.tracking.register('error', ad.errorUrls);
+        Object.keys(ad.trackingEvents).forEach((event) => {
+          player.ads.tracking.register(event, ad.trackingEvents[event]);
+        });
+        ad.progressEvents.forEach(({offset, url}) => {
+          if (!offset) {
+            return;
+          }
+          if (player.ads.progress.offsets.indexOf(offset) === -1) {
+            player.ads.progress.addOffset(offset);
+            progressOffsets.push(offset);
+          }
+          player.ads.tracking.register('progress ' + offset, url);
+        });
+
+        player.ads.debug(`Playing VAST ad ${index} of ${ads.length}`);
+        player.one('adplaying', onAdPlaying);
+        if (player.ads.adElement) {
+          player.ads.adElement.src(selectMediaFile(player, ad));
+        } else {
+          player.src(selectMediaFile(player, ad));
+        }
+      };
+
+      const onAdEnded = function() {
+        player.off('adplaying', onAdPlaying);
+        player.ads.pod.endAd();
+        playNext();
+      };
+
+      // The ad break continues after an ad error or ad timeout if the event
+      // asks for it or the `continueBreakOnAdError` option is on
+      const onAdError = function() {
+        if (player.ads.inAdBreak()) {
+          player.off('adplaying', onAdPlaying);
+          playNext();
+        }
+      };
+
+      const play = function() {
+        player.ads.pod.start(ads);
+
+        // Skipped ads end early. The break can also end early, for example
+        // because of an adserror.
+        player.on(['adended', 'ads-ad-skipped'], onAdEnded);
+        player.on(['adserror', 'adtimeout'], onAdError);
+        player.one('adend', () => {
+          player.off(['adended', 'ads-ad-skipped'], onAdEnded);
+          player.off(['adserror', 'adtimeout'], onAdError);
+          player.off('adplaying', onAdPlaying);
+          progressOffsets.forEach(player.ads.progress.removeOffset);
+          callback(null);
+        });
+
+        playNext();
+      };
+
+      player.ads.startLinearAdMode();
+
+      if (player.ads.inAdBreak()) {
+        play();
+
+      // The ad break policy can defer a midroll until enough content has played
+      } else if (player.ads.policy.deferred) {
+        player.ads.policy.onDeferredBreak((error) => {
+          if (error) {
+            noBreak();
+          } else {
+            play();
+          }
+        });
+
+      } else {
+        noBreak();
+      }
+    }
+  };
+
+  return vast;
+}
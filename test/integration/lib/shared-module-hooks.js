@@ -54,6 +54,29 @@ const common = {
     };
 
     this.player.ads(this.adsOptions);
+
+    // Make the player report `this.time` as its current time.
+    this.time = 0;
+    this.useFakeCurrentTime = () => {
+      this.sandbox.stub(this.player, 'currentTime').callsFake(() => this.time);
+    };
+
+    // Start a preroll ad break, with a pod of ads if given.
+    this.startBreak = (ads) => {
+      this.player.trigger('loadstart');
+      this.player.trigger('adsready');
+      this.player.trigger('play');
+      this.player.ads.startLinearAdMode();
+
+      if (ads) {
+        this.player.ads.pod.start(ads);
+      }
+    };
+
+    this.adTimeupdate = (time) => {
+      this.time = time;
+      this.player.trigger('adtimeupdate');
+    };
   },
 
   afterEach() {
@@ -0,0 +1,102 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Ad Budget', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      maxBreakDuration: 30,
+      maxAdTimePerSession: 10
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.useFakeCurrentTime();
+
+    this.exceeded = sinon.spy();
+    this.player.on('adbudgetexceeded', this.exceeded);
+
+    // Play the ad from the current time, in steps like adtimeupdate events
+    this.playAd = (seconds) => {
+      const end = this.time + seconds;
+
+      this.player.trigger('adtimeupdate');
+      while (this.time < end && this.player.ads.inAdBreak()) {
+        this.time = Math.min(end, this.time + 0.25);
+        this.player.trigger('adtimeupdate');
+      }
+    };
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('counts the seconds of ads played', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.startAd();
+  this.playAd(4);
+
+  assert.strictEqual(this.player.ads.adTimeWatched, 4, 'ad time watched');
+  assert.strictEqual(this.player.ads.adBudget.breakAdTime, 4, 'ad time of the break');
+
+  // A seek is not ad time
+  this.time = 6;
+  this.player.trigger('adtimeupdate');
+  assert.strictEqual(this.player.ads.adTimeWatched, 4, 'seek not counted');
+
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('adtimeupdate');
+  assert.strictEqual(this.player.ads.adTimeWatched, 4, 'content not counted');
+});
+
+QUnit.test('ends the ad break after maxBreakDuration', function(assert) {
+  this.startBreak();
+
+  this.clock.tick(29999);
+  assert.ok(this.player.ads.inAdBreak(), 'still in the ad break');
+
+  this.clock.tick(1);
+  assert.strictEqual(this.exceeded.callCount, 1, 'adbudgetexceeded');
+  assert.strictEqual(this.exceeded.firstCall.args[0].reason, 'maxBreakDuration', 'with the reason');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended');
+});
+
+QUnit.test('does not end the next ad break early', function(assert) {
+  this.startBreak();
+  this.clock.tick(20000);
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('playing');
+
+  this.player.ads.startLinearAdMode();
+  this.clock.tick(20000);
+  assert.ok(this.player.ads.inAdBreak(), 'the midroll has its own limit');
+  assert.strictEqual(this.exceeded.callCount, 0, 'no adbudgetexceeded');
+});
+
+QUnit.test('ends the ad break after maxAdTimePerSession', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.startAd();
+  this.playAd(15);
+
+  assert.strictEqual(this.exceeded.callCount, 1, 'adbudgetexceeded');
+  assert.strictEqual(this.exceeded.firstCall.args[0].reason, 'maxAdTimePerSession', 'with the reason');
+  assert.strictEqual(this.player.ads.adTimeWatched, 10, 'ad time watched');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended');
+});
+
+QUnit.test('vetoes ad breaks after maxAdTimePerSession', function(assert) {
+  const vetoed = sinon.spy();
+
+  this.player.on('adbreakvetoed', vetoed);
+  this.startBreak();
+  this.player.ads.pod.startAd();
+  this.playAd(10);
+  this.player.trigger('playing');
+
+  this.player.ads.startLinearAdMode();
+  assert.notOk(this.player.ads.inAdBreak(), 'midroll not started');
+  assert.strictEqual(vetoed.callCount, 1, 'adbreakvetoed');
+  assert.strictEqual(vetoed.firstCall.args[0].reason, 'maxAdTimePerSession', 'with the reason');
+});
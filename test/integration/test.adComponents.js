@@ -0,0 +1,101 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import window from 'global/window';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Ad UI components', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      adBadge: true,
+      adRemainingTime: true,
+      adClickThrough: true
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.useFakeCurrentTime();
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('the badge shows the position in the ad break', function(assert) {
+  const badge = this.player.getChild('AdBadge');
+
+  assert.ok(badge.hasClass('vjs-hidden'), 'hidden before ads');
+
+  this.startBreak([{id: 'a', duration: 10}, {id: 'b', duration: 10}, {id: 'c', duration: 10}]);
+  this.player.ads.pod.startAd();
+  assert.strictEqual(badge.el().textContent, 'Ad 1 of 3', 'first ad');
+  assert.notOk(badge.hasClass('vjs-hidden'), 'shown');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd();
+  assert.strictEqual(badge.el().textContent, 'Ad 2 of 3', 'second ad');
+
+  this.player.ads.endLinearAdMode();
+  assert.ok(badge.hasClass('vjs-hidden'), 'hidden after the ad break');
+});
+
+QUnit.test('the badge leaves out the position for a single ad', function(assert) {
+  const badge = this.player.getChild('AdBadge');
+
+  this.startBreak([{id: 'a', duration: 10}]);
+  this.player.ads.pod.startAd();
+
+  assert.strictEqual(badge.el().textContent, 'Ad', 'just "Ad"');
+});
+
+QUnit.test('the remaining time counts down', function(assert) {
+  const remaining = this.player.getChild('AdRemainingTime');
+
+  this.startBreak([{id: 'a', duration: 10}, {id: 'b', duration: 15}]);
+  this.player.ads.pod.startAd();
+  assert.strictEqual(remaining.el().textContent, '0:25', 'whole ad break');
+
+  this.time = 4.5;
+  this.player.trigger('adtimeupdate');
+  assert.strictEqual(remaining.el().textContent, '0:21', 'rounded up');
+});
+
+QUnit.test('the remaining time falls back to the current ad', function(assert) {
+  const remaining = this.player.getChild('AdRemainingTime');
+
+  this.startBreak([{id: 'a', duration: 10}, {id: 'b'}]);
+  this.player.ads.pod.startAd();
+
+  assert.strictEqual(remaining.el().textContent, '0:10', 'current ad');
+});
+
+QUnit.test('the click-through layer opens the click-through URL', function(assert) {
+  const layer = this.player.getChild('AdClickThrough');
+  const openStub = this.sandbox.stub(window, 'open');
+  const pauseStub = this.sandbox.stub(this.player, 'pause');
+  const clickSpy = sinon.spy();
+
+  this.player.on('ads-click', clickSpy);
+  this.startBreak([{id: 'a', duration: 10}, {id: 'b', duration: 10, clickThrough: 'http://example.com'}]);
+
+  this.player.ads.pod.startAd();
+  assert.ok(layer.hasClass('vjs-hidden'), 'hidden for an ad without a click-through URL');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd();
+  assert.notOk(layer.hasClass('vjs-hidden'), 'shown');
+
+  layer.handleClick();
+  assert.ok(openStub.calledWith('http://example.com', '_blank', 'noopener'), 'opened the URL without an opener');
+  assert.strictEqual(clickSpy.callCount, 1, 'ads-click');
+  assert.strictEqual(clickSpy.firstCall.args[0].ad.id, 'b', 'with the ad');
+  assert.strictEqual(pauseStub.callCount, 1, 'paused the ad');
+});
+
+QUnit.module('Ad UI components (default options)', sharedModuleHooks());
+
+QUnit.test('are not added by default', function(assert) {
+  assert.notOk(this.player.getChild('AdBadge'), 'no badge');
+  assert.notOk(this.player.getChild('AdRemainingTime'), 'no remaining time');
+  assert.notOk(this.player.getChild('AdClickThrough'), 'no click-through');
+});
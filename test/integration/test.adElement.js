@@ -0,0 +1,128 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import window from 'global/window';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Separate Ad Element', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      separateAdElement: true
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.adElement = this.player.ads.adElement;
+    this.playStub = this.sandbox.stub(this.adElement, 'play');
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('plays ads in their own video element', function(assert) {
+  const srcSpy = this.sandbox.spy(this.player, 'src');
+
+  this.startBreak();
+  this.adElement.src({src: 'http://example.com/ad.webm', type: 'video/webm'});
+
+  const el = this.adElement.el();
+
+  assert.strictEqual(el.parentNode, this.player.el(), 'element is in the player');
+  assert.notStrictEqual(el, this.player.$('.vjs-tech'), 'not the content element');
+  assert.strictEqual(el.src, 'http://example.com/ad.webm', 'ad loaded');
+  assert.strictEqual(this.playStub.callCount, 1, 'ad played');
+  assert.notOk(srcSpy.calledWith(sinon.match.any), 'content source untouched');
+  assert.ok(this.player.hasClass('vjs-ad-element'), 'class for styling');
+  assert.notOk(this.player.ads.videoElementRecycled(), 'content element not recycled');
+});
+
+QUnit.test('triggers media events of the ad element with the ad prefix', function(assert) {
+  const adPlaying = sinon.spy();
+  const playing = sinon.spy();
+  const el = this.adElement.el();
+
+  this.player.on('adplaying', adPlaying);
+  this.player.on('playing', playing);
+  this.startBreak();
+
+  el.dispatchEvent(new window.Event('playing'));
+  assert.strictEqual(adPlaying.callCount, 1, 'adplaying');
+
+  // The content element is paused during the ad break
+  this.player.trigger('playing');
+  assert.strictEqual(adPlaying.callCount, 1, 'content events are not ad events');
+});
+
+QUnit.test('the ad follows the volume of the player', function(assert) {
+  this.startBreak();
+  this.adElement.src('http://example.com/ad.webm');
+
+  const el = this.adElement.el();
+
+  this.sandbox.stub(this.player, 'volume').returns(0.3);
+  this.sandbox.stub(this.player, 'muted').returns(true);
+  this.player.trigger('volumechange');
+
+  assert.strictEqual(el.volume, 0.3, 'volume');
+  assert.strictEqual(el.muted, true, 'muted');
+});
+
+QUnit.test('the click-through layer pauses the ad', function(assert) {
+  const pauseStub = this.sandbox.stub(this.adElement, 'pause');
+
+  const playerPauseSpy = this.sandbox.spy(this.player, 'pause');
+
+  this.sandbox.stub(window, 'open');
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a', clickThrough: 'http://example.com'}]);
+  this.player.ads.pod.startAd();
+  this.player.addChild('AdClickThrough').handleClick();
+
+  assert.strictEqual(pauseStub.callCount, 1, 'ad paused');
+  assert.strictEqual(playerPauseSpy.callCount, 0, 'content not paused');
+});
+
+QUnit.test('reports the ad time to the pod', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}]);
+  this.player.ads.pod.startAd();
+  this.sandbox.stub(this.adElement, 'currentTime').returns(3);
+  this.sandbox.stub(this.adElement, 'duration').returns(10);
+
+  assert.strictEqual(this.player.ads.ad.currentTime(), 3, 'ad current time');
+  assert.strictEqual(this.player.ads.pod.adRemainingTime(), 7, 'ad remaining time');
+});
+
+QUnit.test('resuming content is a resume', function(assert) {
+  const playSpy = this.sandbox.spy(this.player, 'play');
+  const srcSpy = this.sandbox.spy(this.player, 'src');
+
+  this.startBreak();
+  this.adElement.src('http://example.com/ad.webm');
+  this.player.ads.endLinearAdMode();
+
+  assert.notOk(srcSpy.calledWith(sinon.match.any), 'content source is not restored');
+  assert.strictEqual(playSpy.callCount, 1, 'content resumed');
+  assert.notOk(this.adElement.el().hasAttribute('src'), 'ad unloaded');
+  assert.notOk(this.player.hasClass('vjs-ad-element'), 'class removed');
+});
+
+QUnit.test('leaves the playback rate and audio track of content alone', function(assert) {
+  const AudioTrack = videojs.AudioTrack;
+  const audioTracks = this.player.audioTracks();
+  const main = new AudioTrack({id: 'en', kind: 'main', language: 'en', enabled: true});
+  const alternative = new AudioTrack({id: 'fr', kind: 'alternative', language: 'fr'});
+  const rateStub = this.sandbox.stub(this.player, 'playbackRate').returns(1.5);
+
+  audioTracks.addTrack(main);
+  audioTracks.addTrack(alternative);
+  alternative.enabled = true;
+
+  this.startBreak();
+  assert.notOk(rateStub.calledWith(1), 'content rate unchanged');
+  assert.ok(alternative.enabled, 'content audio track unchanged');
+  assert.notOk(main.enabled, 'main audio not enabled');
+  assert.strictEqual(this.player.ads.snapshot.playbackRate, 1.5, 'rate is in the snapshot');
+});
@@ -0,0 +1,63 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+QUnit.module('AdSkipButton', sharedModuleHooks({
+  beforeEach() {
+    this.useFakeCurrentTime();
+    this.button = this.player.getChild('AdSkipButton');
+  }
+}));
+
+QUnit.test('is hidden for ads that are not skippable', function(assert) {
+  assert.ok(this.button, 'button is added to the player');
+  assert.ok(this.button.hasClass('vjs-hidden'), 'hidden before ads');
+
+  this.startBreak([{duration: 10}]);
+  this.player.ads.pod.startAd();
+  this.adTimeupdate(1);
+
+  assert.ok(this.button.hasClass('vjs-hidden'), 'hidden for an ad without skipOffset');
+});
+
+QUnit.test('counts down and skips the ad', function(assert) {
+  const skipped = sinon.spy();
+
+  this.player.on('ads-ad-skipped', skipped);
+  this.startBreak([{duration: 10, skipOffset: 5}]);
+  this.player.ads.pod.startAd();
+  this.adTimeupdate(1.5);
+
+  assert.notOk(this.button.hasClass('vjs-hidden'), 'shown');
+  assert.strictEqual(this.button.textEl_.textContent, 'Skip in 4', 'countdown');
+  assert.notOk(this.button.hasClass('vjs-ad-skippable'), 'not skippable yet');
+
+  this.button.handleClick();
+  assert.strictEqual(skipped.callCount, 0, 'clicking during the countdown does nothing');
+
+  this.adTimeupdate(5);
+  assert.strictEqual(this.button.textEl_.textContent, 'Skip Ad', 'skippable');
+  assert.ok(this.button.hasClass('vjs-ad-skippable'), 'skippable class');
+
+  this.button.handleClick();
+  assert.strictEqual(skipped.callCount, 1, 'skipped');
+  assert.ok(this.button.hasClass('vjs-hidden'), 'hidden after the skip');
+});
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('AdSkipButton (turned off)', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      skipButton: false
+    };
+  }, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('is not added', function(assert) {
+  assert.notOk(this.player.getChild('AdSkipButton'), 'no skip button');
+});
@@ -0,0 +1,94 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Ad Timeouts', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      adStartTimeout: 3000,
+      adStallTimeout: 2000
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.useFakeCurrentTime();
+
+    this.adtimeout = sinon.spy();
+    this.player.on('adtimeout', this.adtimeout);
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('ends the ad break if no ad starts in time', function(assert) {
+  this.startBreak();
+
+  this.clock.tick(2999);
+  assert.ok(this.player.ads.inAdBreak(), 'still waiting');
+
+  this.clock.tick(1);
+  assert.strictEqual(this.adtimeout.callCount, 1, 'adtimeout');
+  assert.strictEqual(this.adtimeout.firstCall.args[0].reason, 'adStartTimeout', 'with the reason');
+  assert.strictEqual(this.player.ads.lastError.phase, 'timeout', 'timeout error');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended');
+});
+
+QUnit.test('ends the ad break if the ad stalls', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.startAd();
+
+  this.clock.tick(1500);
+  this.adTimeupdate(1);
+  this.clock.tick(1500);
+  this.adTimeupdate(2);
+  assert.strictEqual(this.adtimeout.callCount, 0, 'the ad makes progress');
+
+  this.player.trigger('adpause');
+  this.clock.tick(5000);
+  assert.strictEqual(this.adtimeout.callCount, 0, 'a paused ad is not stalled');
+
+  this.player.trigger('adplay');
+  this.clock.tick(1000);
+  this.adTimeupdate(2);
+  this.clock.tick(1000);
+
+  assert.strictEqual(this.adtimeout.callCount, 1, 'adtimeout');
+  assert.strictEqual(this.adtimeout.firstCall.args[0].reason, 'adStallTimeout', 'with the reason');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended');
+});
+
+QUnit.test('moves on to the next ad if ad breaks continue after errors', function(assert) {
+  this.player.ads.settings.continueBreakOnAdError = true;
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}, {id: 'b'}]);
+  this.player.ads.pod.startAd();
+
+  this.clock.tick(2000);
+  assert.strictEqual(this.adtimeout.callCount, 1, 'first ad stalled');
+  assert.ok(this.player.ads.inAdBreak(), 'ad break continues');
+  assert.strictEqual(this.player.ads.pod.errors[0].id, 'a', 'error recorded');
+  assert.notOk(this.player.ads.lastError.isFatal, 'not fatal');
+
+  this.clock.tick(3000);
+  assert.strictEqual(this.adtimeout.callCount, 2, 'next ad did not start');
+  assert.strictEqual(this.adtimeout.secondCall.args[0].reason, 'adStartTimeout', 'start timeout');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended after the last ad');
+});
+
+QUnit.module('Ad Timeouts (defaults)', sharedModuleHooks());
+
+QUnit.test('do not apply by default', function(assert) {
+  const adtimeout = sinon.spy();
+
+  this.player.on('adtimeout', adtimeout);
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+
+  this.clock.tick(60000);
+  assert.strictEqual(adtimeout.callCount, 0, 'no adtimeout');
+  assert.ok(this.player.ads.inAdBreak(), 'still in the ad break');
+});
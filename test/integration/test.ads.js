@@ -536,6 +536,72 @@ QUnit.test('player events during midrolls are prefixed if tech is reused for ad'
   assert.strictEqual(prefixed.callCount, 5, 'prefixed events fired');
 });
 
+QUnit.test('requestMidroll waits for the midroll and times out', function(assert) {
+  const readyformidroll = sinon.spy();
+
+  this.player.ads.settings.midrollTimeout = 1000;
+  this.player.on('readyformidroll', readyformidroll);
+
+  // return to content after the preroll times out
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('adtimeout');
+  this.player.trigger('playing');
+
+  this.player.ads.requestMidroll();
+  assert.strictEqual(readyformidroll.callCount, 1, 'readyformidroll');
+  assert.ok(this.player.ads.isWaitingForAdBreak(), 'waiting for the midroll');
+  assert.ok(this.player.hasClass('vjs-ad-loading'), 'loading spinner');
+
+  this.clock.tick(1000);
+  assert.notOk(this.player.ads.isInAdMode(), 'back to content');
+  assert.notOk(this.player.hasClass('vjs-ad-loading'), 'no loading spinner');
+  assert.strictEqual(this.player.ads.lastError.type, 'adtimeout', 'the timeout is the last error');
+});
+
+QUnit.test('requestMidroll starts the midroll with startLinearAdMode', function(assert) {
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('adtimeout');
+  this.player.trigger('playing');
+
+  this.player.ads.requestMidroll();
+  this.player.ads.startLinearAdMode();
+
+  assert.notOk(this.player.ads.isWaitingForAdBreak(), 'not waiting anymore');
+  assert.ok(this.player.ads.inAdBreak(), 'in the ad break');
+  assert.strictEqual(this.player.ads.adType, 'midroll', 'midroll');
+
+  this.clock.tick(this.player.ads.settings.timeout);
+  assert.ok(this.player.ads.inAdBreak(), 'no midroll timeout during the ad break');
+});
+
+QUnit.test('requestMidroll stops waiting when content changes', function(assert) {
+  const readyforpreroll = sinon.spy();
+
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('adtimeout');
+  this.player.trigger('playing');
+
+  // Content is playing when the midroll is requested
+  this.sandbox.stub(this.player, 'paused').returns(false);
+  this.player.ads.requestMidroll();
+  this.player.on('readyforpreroll', readyforpreroll);
+  this.player.trigger('contentchanged');
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+
+  assert.notStrictEqual(this.player.ads.adType, 'midroll', 'not waiting for the midroll');
+  assert.strictEqual(readyforpreroll.callCount, 1, 'preroll check for the new content');
+
+  this.clock.tick(this.player.ads.settings.timeout);
+  assert.strictEqual(this.player.ads._state.constructor._getName(), 'Preroll', 'no midroll timeout');
+});
+
 QUnit.test('player events during postrolls are prefixed if tech is reused for ad', function(assert) {
   assert.expect(2);
 
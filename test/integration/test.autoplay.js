@@ -0,0 +1,184 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+// A test element for autoplay detection that settles its play promise right
+// away. `allowed` lists the modes that can autoplay: unmuted and muted.
+const fakeElement = function(allowed) {
+  const el = {
+    muted: false,
+    pause() {},
+    removeAttribute() {},
+    play() {
+      const mode = el.muted ? 'muted' : 'unmuted';
+
+      return {
+        then(resolve, reject) {
+          if (allowed.indexOf(mode) !== -1) {
+            resolve();
+          } else {
+            reject({name: 'NotAllowedError'});
+          }
+        }
+      };
+    }
+  };
+
+  return el;
+};
+
+QUnit.module('Autoplay', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      autoplayPolicy: 'muted'
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.detect = (allowed) => {
+      this.sandbox.stub(this.player.ads.autoplay, 'createTestElement_').returns(fakeElement(allowed));
+      this.player.ads.autoplay.detect();
+    };
+
+    this.readyforpreroll = sinon.spy();
+    this.player.on('readyforpreroll', this.readyforpreroll);
+
+    this.requestPreroll = () => {
+      this.player.trigger('loadstart');
+      this.player.trigger('adsready');
+      this.player.trigger('play');
+    };
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('detects the autoplay capability', function(assert) {
+  const spy = sinon.spy();
+
+  this.player.on('autoplaycapability', spy);
+
+  this.detect(['unmuted', 'muted']);
+  assert.strictEqual(this.player.ads.autoplayCapability, 'unmuted', 'unmuted');
+
+  this.player.ads.autoplay.createTestElement_.returns(fakeElement(['muted']));
+  this.player.ads.autoplay.detect();
+  assert.strictEqual(this.player.ads.autoplayCapability, 'muted', 'muted');
+
+  this.player.ads.autoplay.createTestElement_.returns(fakeElement([]));
+  this.player.ads.autoplay.detect();
+  assert.strictEqual(this.player.ads.autoplayCapability, 'none', 'none');
+
+  assert.strictEqual(spy.callCount, 3, 'autoplaycapability for each detection');
+  assert.strictEqual(spy.lastCall.args[0].capability, 'none', 'with the capability');
+});
+
+QUnit.test('plays the preroll muted and shows the unmute button', function(assert) {
+  const button = this.player.getChild('AdUnmuteButton');
+
+  this.detect(['muted']);
+  this.requestPreroll();
+
+  assert.strictEqual(this.readyforpreroll.callCount, 1, 'readyforpreroll');
+  assert.ok(this.player.muted(), 'muted');
+
+  this.player.ads.startLinearAdMode();
+  assert.notOk(button.hasClass('vjs-hidden'), 'unmute button shown');
+
+  button.handleClick();
+  assert.notOk(this.player.muted(), 'unmuted');
+  assert.ok(button.hasClass('vjs-hidden'), 'unmute button hidden');
+});
+
+QUnit.test('waits for detection before the preroll', function(assert) {
+  const el = fakeElement(['muted']);
+  let settle = null;
+
+  // The first attempt, with sound, settles later
+  el.play = () => ({
+    then(resolve, reject) {
+      settle = el.muted ? resolve : reject;
+    }
+  });
+
+  this.sandbox.stub(this.player.ads.autoplay, 'createTestElement_').returns(el);
+  this.player.ads.autoplayCapability = null;
+  this.player.ads.autoplay.detect();
+  this.requestPreroll();
+
+  assert.strictEqual(this.readyforpreroll.callCount, 0, 'no readyforpreroll before detection');
+  assert.notOk(this.player.muted(), 'not muted yet');
+
+  // Not allowed with sound, then allowed muted
+  settle({name: 'NotAllowedError'});
+  settle();
+
+  assert.strictEqual(this.player.ads.autoplayCapability, 'muted', 'detected');
+  assert.strictEqual(this.readyforpreroll.callCount, 1, 'readyforpreroll after detection');
+  assert.ok(this.player.muted(), 'the policy was applied');
+});
+
+QUnit.test('does not apply the policy when autoplay is allowed', function(assert) {
+  this.detect(['unmuted', 'muted']);
+  this.requestPreroll();
+
+  assert.strictEqual(this.readyforpreroll.callCount, 1, 'readyforpreroll');
+  assert.notOk(this.player.muted(), 'not muted');
+});
+
+QUnit.test('does not apply the policy after a user gesture', function(assert) {
+  this.detect(['muted']);
+  this.player.trigger('click');
+  this.requestPreroll();
+
+  assert.strictEqual(this.readyforpreroll.callCount, 1, 'readyforpreroll');
+  assert.notOk(this.player.muted(), 'not muted');
+});
+
+QUnit.test('waits for a click when the preroll cannot autoplay muted', function(assert) {
+  const blocked = sinon.spy();
+
+  this.player.on('adautoplayblocked', blocked);
+  this.detect([]);
+  this.requestPreroll();
+
+  assert.strictEqual(blocked.callCount, 1, 'adautoplayblocked');
+  assert.strictEqual(this.readyforpreroll.callCount, 0, 'no readyforpreroll');
+  assert.ok(this.player.hasClass('vjs-ad-click-to-play'), 'waiting for a click');
+
+  this.clock.tick(this.player.ads.settings.timeout);
+  assert.ok(this.player.ads.isWaitingForAdBreak(), 'no ad timeout while waiting');
+
+  this.player.trigger('click');
+  assert.strictEqual(this.readyforpreroll.callCount, 1, 'readyforpreroll after the click');
+  assert.notOk(this.player.hasClass('vjs-ad-click-to-play'), 'not waiting anymore');
+});
+
+QUnit.module('Autoplay (skip policy)', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      autoplayPolicy: 'skip'
+    };
+  }, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('plays content instead of the preroll', function(assert) {
+  const readyforpreroll = sinon.spy();
+
+  this.player.on('readyforpreroll', readyforpreroll);
+  this.sandbox.stub(this.player.ads.autoplay, 'createTestElement_').returns(fakeElement([]));
+  this.player.ads.autoplay.detect();
+
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+
+  assert.strictEqual(readyforpreroll.callCount, 0, 'no readyforpreroll');
+  assert.ok(this.player.ads.isContentResuming(), 'content resumes');
+  assert.notOk(this.player.getChild('AdUnmuteButton'), 'no unmute button');
+});
@@ -147,6 +147,56 @@ QUnit.test('content is resumed after ads if a user initiated play event is cance
   assert.ok(pauseSpy.callCount, 1, 'pause was not called again');
 });
 
+QUnit.module('Cancel Content Play (w/ priming)', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      mobilePlayBlocking: 'prime'
+    };
+  }, fakeVideojs, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, restoreVideojs, sharedHooks.afterEach)
+});
+
+QUnit.test('hides and mutes content until the preroll starts', function(assert) {
+  const pauseSpy = sinon.spy(this.player, 'pause');
+
+  this.player.paused = () => false;
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+
+  assert.strictEqual(pauseSpy.callCount, 1, 'play is canceled');
+  assert.ok(this.player.hasClass('vjs-ad-content-hidden'), 'content is hidden');
+  assert.ok(this.player.muted(), 'content is muted');
+
+  this.player.ads.startLinearAdMode();
+
+  assert.ok(this.player.hasClass('vjs-ad-content-hidden'), 'content is hidden while the ad loads');
+  assert.ok(this.player.muted(), 'content is muted while the ad loads');
+
+  this.player.trigger('adplaying');
+
+  assert.notOk(this.player.hasClass('vjs-ad-content-hidden'), 'content element is shown for the ad');
+  assert.notOk(this.player.muted(), 'the ad is not muted');
+});
+
+QUnit.test('shows content when it plays without a preroll', function(assert) {
+  this.player.muted(true);
+  this.player.paused = () => false;
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+
+  assert.ok(this.player.hasClass('vjs-ad-content-hidden'), 'content is hidden');
+
+  this.player.trigger('nopreroll');
+  this.player.trigger('playing');
+
+  assert.notOk(this.player.hasClass('vjs-ad-content-hidden'), 'content is shown');
+  assert.ok(this.player.muted(), 'content stays muted as it was before');
+});
+
 // Set up contrib-ads options and run custom hooks before sharedModuleHooks, as
 // videojs must be modified before setting up the player and videojs-contrib-ads
 QUnit.module('Cancel Content Play (w/ Stitched Ads)', {
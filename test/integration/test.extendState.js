@@ -0,0 +1,135 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import document from 'global/document';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Extending States', sharedModuleHooks());
+
+QUnit.test('replaces state methods for the player', function(assert) {
+  const readyForPreroll = sinon.spy();
+  const calls = [];
+
+  this.player.on('readyforpreroll', readyForPreroll);
+  this.player.ads.extendState('Preroll', {
+    onAdsReady(player) {
+      calls.push(player);
+      this._super(player);
+    }
+  });
+
+  this.player.trigger('loadstart');
+  this.player.trigger('play');
+  this.player.trigger('adsready');
+
+  assert.strictEqual(this.player.ads._state.constructor._getName(), 'Preroll', 'in Preroll');
+  assert.deepEqual(calls, [this.player], 'the new method was called');
+  assert.strictEqual(readyForPreroll.callCount, 1, 'the parent method was called');
+});
+
+QUnit.test('only affects the player', function(assert) {
+  const video = document.createElement('video');
+  const calls = [];
+
+  document.getElementById('qunit-fixture').appendChild(video);
+
+  const otherPlayer = videojs(video);
+
+  this.clock.tick(1000);
+  otherPlayer.ads();
+
+  this.player.ads.extendState('Preroll', {
+    onAdsReady(player) {
+      calls.push(player);
+    }
+  });
+
+  [this.player, otherPlayer].forEach((player) => {
+    player.trigger('loadstart');
+    player.trigger('play');
+    player.trigger('adsready');
+  });
+
+  assert.deepEqual(calls, [this.player], 'only called for the player');
+  assert.ok(otherPlayer.ads._state.adsReady, 'the other player is not affected');
+
+  otherPlayer.dispose();
+});
+
+QUnit.test('can extend a state more than once', function(assert) {
+  const calls = [];
+
+  this.player.ads.extendState('Preroll', {
+    onAdsReady(player) {
+      calls.push('first');
+      this._super(player);
+    }
+  });
+  this.player.ads.extendState('Preroll', {
+    onAdsReady(player) {
+      calls.push('second');
+      this._super(player);
+    }
+  });
+
+  this.player.trigger('loadstart');
+  this.player.trigger('play');
+  this.player.trigger('adsready');
+
+  assert.deepEqual(calls, ['second', 'first'], 'called in order');
+  assert.ok(this.player.ads._state.adsReady, 'the original method was called');
+});
+
+QUnit.test('can not extend unknown states', function(assert) {
+  assert.throws(() => {
+    this.player.ads.extendState('Interstitial', {});
+  }, /Unknown state "Interstitial"/);
+});
+
+QUnit.test('warns about problems with the states of the player', function(assert) {
+  const Preroll = this.player.ads.extendState('Preroll', {});
+  const warnSpy = this.sandbox.spy(videojs.log, 'warn');
+
+  assert.strictEqual(warnSpy.callCount, 0, 'no warning for valid states');
+
+  class CustomPreroll extends Preroll {
+    static _getTransitions() {
+      return super._getTransitions().concat(['Interstitial']);
+    }
+  }
+
+  this.player.ads.registerState('Preroll', CustomPreroll);
+
+  const problem = 'Illegal transition Preroll -> Interstitial: ' +
+    'Interstitial is not a registered state';
+
+  assert.ok(warnSpy.calledWith('State validation: ' + problem), 'warned about the transition');
+});
+
+QUnit.module('Extending States with options', {
+  beforeEach: _.flow(function() {
+    this.noPrerollCalls = 0;
+    this.adsOptions = {
+      stateOverrides: {
+        BeforePreroll: {
+          onNoPreroll: () => {
+            this.noPrerollCalls++;
+          }
+        }
+      }
+    };
+  }, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('replaces state methods from the start', function(assert) {
+  this.player.trigger('nopreroll');
+
+  assert.strictEqual(this.noPrerollCalls, 1, 'the new method was called');
+  assert.notOk(this.player.ads._state.shouldResumeToContent, 'the parent method was not called');
+});
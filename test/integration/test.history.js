@@ -0,0 +1,82 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+QUnit.module('State History', sharedModuleHooks());
+
+QUnit.test('records state transitions with their causes', function(assert) {
+  const stateChange = sinon.spy();
+
+  this.player.on('adstatechange', stateChange);
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+
+  const history = this.player.ads.history();
+
+  assert.deepEqual(history.map((entry) => [entry.from, entry.to, entry.cause]), [
+    ['BeforePreroll', 'Preroll', 'play']
+  ], 'transition to Preroll');
+  assert.strictEqual(typeof history[0].timestamp, 'number', 'timestamp');
+  assert.strictEqual(stateChange.callCount, 1, 'adstatechange');
+  assert.strictEqual(stateChange.firstCall.args[0].to, 'Preroll', 'with the new state');
+
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('playing');
+
+  assert.deepEqual(this.player.ads.history().slice(1).map((entry) => [entry.to, entry.cause]), [
+    ['ContentPlayback', 'playing']
+  ], 'transition to ContentPlayback');
+});
+
+QUnit.test('records the method that caused a transition', function(assert) {
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('nopreroll');
+  this.player.trigger('playing');
+  this.player.ads.startLinearAdMode();
+
+  const last = this.player.ads.history().pop();
+
+  assert.strictEqual(last.to, 'Midroll', 'midroll');
+  assert.strictEqual(last.cause, 'startLinearAdMode', 'caused by startLinearAdMode');
+});
+
+QUnit.test('keeps a limited number of transitions', function(assert) {
+  this.player.ads.settings.stateHistorySize = 2;
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('nopreroll');
+  this.player.trigger('playing');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('playing');
+
+  const history = this.player.ads.history();
+
+  assert.strictEqual(history.length, 2, 'two transitions');
+  assert.strictEqual(history[1].to, 'ContentPlayback', 'the most recent ones');
+
+  history.pop();
+  assert.strictEqual(this.player.ads.history().length, 2, 'returns a copy');
+});
+
+QUnit.test('keeps the default number of transitions without a size', function(assert) {
+  this.player.ads.settings.stateHistorySize = null;
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('nopreroll');
+  this.player.trigger('playing');
+
+  for (let i = 0; i < 30; i++) {
+    this.player.ads.startLinearAdMode();
+    this.player.ads.endLinearAdMode();
+    this.player.trigger('playing');
+  }
+
+  assert.strictEqual(this.player.ads.history().length, 50, 'fifty transitions');
+});
@@ -213,3 +213,11 @@ QUnit.test('default values', function(assert) {
     'pageVariable: unset value is replaced by default'
   );
 });
+
+QUnit.test('VAST macros are left to the caller', function(assert) {
+  assert.equal(
+    this.player.ads.adMacroReplacement('[CACHEBUSTING]&[CONTENTPLAYHEAD]&[ERRORCODE]'),
+    '[CACHEBUSTING]&[CONTENTPLAYHEAD]&[ERRORCODE]',
+    'not replaced'
+  );
+});
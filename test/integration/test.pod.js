@@ -0,0 +1,183 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+QUnit.module('Ad Pod', sharedModuleHooks({
+  beforeEach() {
+    this.useFakeCurrentTime();
+
+    this.events = [];
+    this.player.on([
+      'ads-pod-started', 'ads-pod-ended', 'ads-ad-started', 'ads-ad-ended'
+    ], (e) => this.events.push(e.type));
+  }
+}));
+
+QUnit.test('can only start during an ad break', function(assert) {
+  const warnSpy = this.sandbox.spy(videojs.log, 'warn');
+
+  this.player.ads.pod.start([{id: 'a', duration: 10}]);
+
+  assert.strictEqual(warnSpy.callCount, 1, 'warned');
+  assert.deepEqual(this.events, [], 'no events');
+  assert.strictEqual(this.player.ads.pod.count(), 0, 'no ads');
+});
+
+QUnit.test('tracks the ads of an ad break', function(assert) {
+  const podStarted = sinon.spy();
+
+  this.player.on('ads-pod-started', podStarted);
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a', duration: 10}, {id: 'b', duration: 15}]);
+
+  assert.strictEqual(podStarted.firstCall.args[0].count, 2, 'ads-pod-started has the count');
+  assert.strictEqual(this.player.ads.pod.count(), 2, 'count');
+  assert.strictEqual(this.player.ads.ad, null, 'no ad yet');
+
+  this.player.ads.pod.startAd();
+
+  assert.strictEqual(this.player.ads.pod.index, 0, 'first ad');
+  assert.strictEqual(this.player.ads.ad.id, 'a', 'ad id');
+  assert.strictEqual(this.player.ads.ad.index, 0, 'ad index');
+  assert.strictEqual(this.player.ads.ad.duration, 10, 'ad duration');
+  assert.strictEqual(this.player.ads.ad.type, 'preroll', 'ad type');
+
+  this.time = 4;
+  assert.strictEqual(this.player.ads.ad.currentTime(), 4, 'ad current time');
+  assert.strictEqual(this.player.ads.pod.adRemainingTime(), 6, 'ad remaining time');
+  assert.strictEqual(this.player.ads.pod.remainingTime(), 21, 'pod remaining time');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd({clickThrough: 'http://example.com'});
+
+  assert.strictEqual(this.player.ads.ad.id, 'b', 'second ad');
+  assert.strictEqual(this.player.ads.ad.clickThrough, 'http://example.com', 'extra metadata');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.endLinearAdMode();
+
+  assert.deepEqual(this.events, [
+    'ads-pod-started',
+    'ads-ad-started', 'ads-ad-ended',
+    'ads-ad-started', 'ads-ad-ended',
+    'ads-pod-ended'
+  ], 'common interface events');
+  assert.strictEqual(this.player.ads.ad, null, 'ad is cleared');
+  assert.strictEqual(this.player.ads.pod.count(), 0, 'pod is cleared');
+});
+
+QUnit.test('tracks ads-ad-started events triggered by the ad plugin', function(assert) {
+  this.startBreak();
+
+  this.player.trigger('ads-ad-started');
+  assert.strictEqual(this.player.ads.ad.index, 0, 'first ad');
+  assert.strictEqual(this.player.ads.ad.id, '', 'no id');
+
+  this.player.trigger({type: 'ads-ad-started', ad: {id: 'x', duration: 5}});
+  assert.strictEqual(this.player.ads.ad.index, 1, 'second ad');
+  assert.strictEqual(this.player.ads.ad.id, 'x', 'metadata from the event');
+  assert.strictEqual(this.player.ads.pod.count(), 2, 'count grows');
+
+  this.player.ads.endLinearAdMode();
+  assert.strictEqual(this.events.indexOf('ads-pod-ended'), -1, 'no pod end without a pod start');
+});
+
+QUnit.test('falls back to the media duration', function(assert) {
+  this.sandbox.stub(this.player, 'duration').returns(30);
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}]);
+  this.player.ads.pod.startAd();
+
+  assert.strictEqual(this.player.ads.pod.adDuration(), 30, 'media duration');
+});
+
+QUnit.test('skips ads that have a skip offset', function(assert) {
+  const skipped = sinon.spy();
+
+  this.player.on('ads-ad-skipped', skipped);
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a', duration: 20, skipOffset: 5}, {id: 'b', duration: 10}]);
+  this.player.ads.pod.startAd();
+
+  this.time = 2;
+  assert.ok(this.player.ads.pod.isSkippable(), 'skippable');
+  assert.strictEqual(this.player.ads.pod.skipTimeRemaining(), 3, 'skippable in 3 seconds');
+  assert.notOk(this.player.ads.pod.canSkip(), 'not skippable yet');
+
+  this.player.ads.pod.skipAd();
+  assert.strictEqual(skipped.callCount, 0, 'too early to skip');
+
+  this.time = 5;
+  this.player.ads.pod.skipAd();
+  assert.strictEqual(skipped.callCount, 1, 'skipped');
+  assert.strictEqual(skipped.firstCall.args[0].ad.id, 'a', 'with the ad');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd();
+  assert.notOk(this.player.ads.pod.isSkippable(), 'second ad is not skippable');
+  assert.ok(isNaN(this.player.ads.pod.skipTimeRemaining()), 'no skip time');
+});
+
+QUnit.test('continues the ad break after an ad error', function(assert) {
+  const podEnded = sinon.spy();
+
+  this.player.on('ads-pod-ended', podEnded);
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a', duration: 10}, {id: 'b', duration: 15}]);
+  this.player.ads.pod.startAd();
+
+  this.player.trigger({type: 'adserror', continueBreak: true, code: 405, message: 'Bad media'});
+  assert.ok(this.player.ads.inAdBreak(), 'ad break continues');
+  assert.deepEqual(this.player.ads.pod.errors, [
+    {index: 0, id: 'a', code: 405, message: 'Bad media'}
+  ], 'error recorded');
+
+  this.player.ads.pod.startAd();
+  assert.strictEqual(this.player.ads.ad.id, 'b', 'next ad');
+
+  this.player.trigger({type: 'adserror', continueBreak: true, code: 400});
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ends after the last ad');
+  assert.strictEqual(podEnded.firstCall.args[0].errors.length, 2, 'errors reported with ads-pod-ended');
+  assert.strictEqual(this.player.ads.pod.errors.length, 2, 'errors kept after the ad break');
+});
+
+QUnit.test('records errors of ads that failed before they started', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}, {id: 'b'}, {id: 'c'}]);
+
+  this.player.trigger({type: 'adserror', continueBreak: true, indexInBreak: 0});
+  assert.strictEqual(this.player.ads.pod.errors[0].id, 'a', 'error of the first ad');
+
+  this.player.ads.pod.startAd();
+  assert.strictEqual(this.player.ads.ad.id, 'b', 'second ad');
+});
+
+QUnit.test('ends the ad break after an ad error by default', function(assert) {
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}, {id: 'b'}]);
+  this.player.ads.pod.startAd();
+
+  this.player.trigger('adserror');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break ended');
+  assert.deepEqual(this.player.ads.pod.errors, [], 'no errors recorded');
+});
+
+QUnit.test('attaches an AdError to ad errors', function(assert) {
+  const errorSpy = sinon.spy();
+
+  this.player.on('adserror', errorSpy);
+  this.startBreak();
+  this.player.ads.pod.start([{id: 'a'}, {id: 'b'}]);
+  this.player.ads.pod.startAd();
+
+  this.player.trigger({type: 'adserror', continueBreak: true, code: 405});
+
+  const adError = errorSpy.firstCall.args[0].adError;
+
+  assert.strictEqual(adError.code, 405, 'code');
+  assert.strictEqual(adError.phase, 'playback', 'phase');
+  assert.strictEqual(adError.context.adId, 'a', 'ad context');
+  assert.notOk(adError.isFatal, 'the ad break continues');
+  assert.strictEqual(this.player.ads.lastError, adError, 'lastError');
+});
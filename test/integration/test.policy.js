@@ -0,0 +1,144 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Ad Break Policy', {
+  beforeEach: _.flow(function() {
+    this.adsOptions = {
+      minBreakInterval: 10,
+      maxBreaksPerHour: 3,
+      maxPrerollsPerSession: 1
+    };
+  }, sharedHooks.beforeEach, function() {
+    this.useFakeCurrentTime();
+
+    this.vetoed = sinon.spy();
+    this.deferred = sinon.spy();
+    this.player.on('adbreakvetoed', this.vetoed);
+    this.player.on('adbreakdeferred', this.deferred);
+
+    // Play a preroll and start content
+    this.playPreroll = () => {
+      this.startBreak();
+      this.player.ads.endLinearAdMode();
+      this.player.trigger('playing');
+    };
+
+    // Play content from the current time, in steps like timeupdate events
+    this.playContent = (seconds) => {
+      const end = this.time + seconds;
+
+      this.player.trigger('timeupdate');
+      while (this.time < end) {
+        this.time = Math.min(end, this.time + 0.25);
+        this.player.trigger('timeupdate');
+      }
+    };
+  }),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('defers midrolls until enough content has played', function(assert) {
+  this.playPreroll();
+  this.playContent(4);
+  this.player.ads.startLinearAdMode();
+
+  assert.notOk(this.player.ads.inAdBreak(), 'not started');
+  assert.strictEqual(this.deferred.callCount, 1, 'adbreakdeferred');
+  assert.strictEqual(this.deferred.firstCall.args[0].reason, 'minBreakInterval', 'reason');
+  assert.strictEqual(this.deferred.firstCall.args[0].delay, 6, 'delay');
+
+  this.playContent(5);
+  assert.notOk(this.player.ads.inAdBreak(), 'still deferred');
+
+  this.playContent(1);
+  assert.ok(this.player.ads.inAdBreak(), 'started');
+  assert.strictEqual(this.player.ads.adType, 'midroll', 'a midroll');
+});
+
+QUnit.test('requests deferred midrolls again', function(assert) {
+  const readyForMidroll = sinon.spy();
+  const callback = sinon.spy();
+
+  this.player.on('readyformidroll', readyForMidroll);
+  this.playPreroll();
+  this.playContent(4);
+  this.player.ads.requestMidroll();
+  this.player.ads.policy.onDeferredBreak(callback);
+
+  assert.strictEqual(this.deferred.callCount, 1, 'adbreakdeferred');
+  assert.notOk(this.player.ads.isInAdMode(), 'content plays on');
+
+  this.playContent(6);
+  assert.strictEqual(readyForMidroll.callCount, 1, 'readyformidroll');
+  assert.ok(this.player.ads.isWaitingForAdBreak(), 'waiting for the ad plugin');
+  assert.notOk(this.player.ads.inAdBreak(), 'the ad break has not started');
+  assert.ok(callback.calledWith(null), 'the deferred break started');
+
+  this.player.ads.startLinearAdMode();
+  assert.ok(this.player.ads.inAdBreak(), 'started');
+  assert.strictEqual(this.player.ads.adType, 'midroll', 'a midroll');
+});
+
+QUnit.test('seeks do not count as content played', function(assert) {
+  this.playPreroll();
+  this.player.trigger('timeupdate');
+  this.time = 60;
+  this.player.trigger('timeupdate');
+  this.player.ads.startLinearAdMode();
+
+  assert.notOk(this.player.ads.inAdBreak(), 'deferred');
+});
+
+QUnit.test('drops deferred breaks when content changes', function(assert) {
+  const callback = sinon.spy();
+
+  this.playPreroll();
+  this.player.ads.startLinearAdMode();
+  this.player.ads.policy.onDeferredBreak(callback);
+  this.player.trigger('contentchanged');
+
+  assert.strictEqual(this.player.ads.policy.deferred, null, 'dropped');
+  assert.ok(callback.firstCall.args[0] instanceof Error, 'called back with an error');
+});
+
+QUnit.test('vetoes breaks over the hourly limit', function(assert) {
+  this.playPreroll();
+
+  for (let i = 0; i < 3; i++) {
+    this.playContent(10);
+    this.player.ads.startLinearAdMode();
+    this.player.ads.endLinearAdMode();
+    this.player.trigger('playing');
+  }
+
+  assert.strictEqual(this.vetoed.callCount, 1, 'adbreakvetoed');
+  assert.strictEqual(this.vetoed.firstCall.args[0].reason, 'maxBreaksPerHour', 'reason');
+  assert.strictEqual(this.vetoed.firstCall.args[0].adType, 'midroll', 'ad type');
+
+  this.clock.tick(60 * 60 * 1000);
+  this.player.ads.startLinearAdMode();
+  assert.ok(this.player.ads.inAdBreak(), 'allowed an hour later');
+});
+
+QUnit.test('vetoes prerolls over the session limit', function(assert) {
+  const readyForPreroll = sinon.spy();
+
+  this.player.on('readyforpreroll', readyForPreroll);
+  this.playPreroll();
+  this.player.trigger('contentchanged');
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+
+  assert.strictEqual(readyForPreroll.callCount, 1, 'one readyforpreroll');
+  assert.strictEqual(this.vetoed.callCount, 1, 'adbreakvetoed');
+  assert.strictEqual(this.vetoed.firstCall.args[0].reason, 'maxPrerollsPerSession', 'reason');
+  assert.strictEqual(this.vetoed.firstCall.args[0].adType, 'preroll', 'ad type');
+  assert.ok(this.player.ads.isContentResuming(), 'resuming content');
+});
@@ -0,0 +1,77 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+import _ from 'lodash';
+
+const sharedHooks = sharedModuleHooks();
+
+QUnit.module('Profiles', {
+  beforeEach: _.flow(function() {
+    this.calls = [];
+    videojs.getPlugin('ads').registerProfile('test-profile', {
+      Preroll: {
+        onAdsReady: (player) => {
+          this.calls.push(player);
+        }
+      }
+    });
+    this.adsOptions = {
+      profile: 'test-profile'
+    };
+  }, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('uses the states of the profile', function(assert) {
+  this.player.trigger('loadstart');
+  this.player.trigger('play');
+  this.player.trigger('adsready');
+
+  assert.strictEqual(this.player.ads._state.constructor._getName(), 'Preroll', 'in Preroll');
+  assert.deepEqual(this.calls, [this.player], 'the profile method was called');
+});
+
+QUnit.test('can replace a state for the player', function(assert) {
+  const BeforePreroll = this.player.ads._state.constructor;
+  const init = sinon.spy();
+
+  class CustomBeforePreroll extends BeforePreroll {
+    init(player) {
+      init(player);
+      super.init(player);
+    }
+  }
+
+  this.player.ads.registerState('BeforePreroll', CustomBeforePreroll);
+  this.player.trigger('loadstart');
+  this.player.trigger('play');
+  this.player.trigger('nopreroll');
+  this.player.trigger('playing');
+  this.player.trigger('contentchanged');
+
+  assert.ok(this.player.ads._state instanceof CustomBeforePreroll, 'the player uses the new state');
+  assert.ok(init.calledWith(this.player), 'initialized');
+});
+
+QUnit.module('Profiles: unknown profile', {
+  beforeEach: _.flow(function() {
+    this.warnSpy = sinon.spy(videojs.log, 'warn');
+    this.adsOptions = {
+      profile: 'missing-profile'
+    };
+  }, sharedHooks.beforeEach),
+  afterEach: _.flow(function() {
+    this.warnSpy.restore();
+    this.adsOptions = null;
+  }, sharedHooks.afterEach)
+});
+
+QUnit.test('warns and uses the default states', function(assert) {
+  const message = 'Unknown ads profile "missing-profile", using the default states';
+
+  assert.ok(this.warnSpy.calledWith(message), 'warned');
+  assert.strictEqual(this.player.ads._state.constructor._getName(), 'BeforePreroll', 'default state');
+});
@@ -0,0 +1,97 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+QUnit.module('Ad Progress', sharedModuleHooks({
+  beforeEach() {
+    this.useFakeCurrentTime();
+
+    this.events = [];
+    this.player.on([
+      'ads-first-quartile', 'ads-midpoint', 'ads-third-quartile', 'ads-progress'
+    ], (e) => {
+      this.events.push(e.type === 'ads-progress' ? 'progress ' + e.offset : e.type);
+    });
+
+    this.startBreak([{id: 'a', duration: 20}, {id: 'b', duration: 8}]);
+  }
+}));
+
+QUnit.test('triggers quartiles as the ad plays', function(assert) {
+  this.player.ads.pod.startAd();
+
+  this.adTimeupdate(4.9);
+  assert.deepEqual(this.events, [], 'nothing yet');
+
+  this.adTimeupdate(5);
+  assert.deepEqual(this.events, ['ads-first-quartile'], 'first quartile');
+
+  this.adTimeupdate(10.2);
+  this.adTimeupdate(15.1);
+  assert.deepEqual(this.events, [
+    'ads-first-quartile', 'ads-midpoint', 'ads-third-quartile'
+  ], 'midpoint and third quartile');
+});
+
+QUnit.test('triggers each quartile once per ad despite seeks and stalls', function(assert) {
+  this.player.ads.pod.startAd();
+
+  this.adTimeupdate(6);
+  this.adTimeupdate(6);
+  this.adTimeupdate(2);
+  this.adTimeupdate(6);
+  assert.deepEqual(this.events, ['ads-first-quartile'], 'first quartile once');
+
+  this.adTimeupdate(16);
+  assert.deepEqual(this.events, [
+    'ads-first-quartile', 'ads-midpoint', 'ads-third-quartile'
+  ], 'seeking forward triggers the skipped quartiles in order');
+
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd();
+  this.adTimeupdate(2.1);
+  assert.strictEqual(this.events.length, 4, 'quartiles start over for the next ad');
+});
+
+QUnit.test('triggers progress events at custom offsets', function(assert) {
+  this.player.ads.progress.addOffset(3);
+  this.player.ads.progress.addOffset('00:00:07');
+  this.player.ads.progress.addOffset('90%');
+  this.player.ads.pod.startAd();
+
+  this.adTimeupdate(3);
+  this.adTimeupdate(7.5);
+  this.adTimeupdate(18);
+
+  assert.deepEqual(this.events, [
+    'progress 3', 'ads-first-quartile', 'progress 00:00:07', 'ads-midpoint',
+    'ads-third-quartile', 'progress 90%'
+  ], 'progress events in order');
+
+  this.player.ads.progress.clearOffsets();
+  this.player.ads.pod.endAd();
+  this.player.ads.pod.startAd();
+  this.adTimeupdate(7.9);
+
+  assert.strictEqual(this.events.indexOf('progress 3', 1), -1, 'offsets cleared');
+});
+
+QUnit.test('ignores content times before the ad loads', function(assert) {
+  this.player.ads.pod.startAd();
+
+  // The content video element still reports the content time
+  this.adTimeupdate(300);
+  assert.deepEqual(this.events, [], 'no quartiles');
+});
+
+QUnit.test('ignores time updates outside of ads', function(assert) {
+  const spy = sinon.spy();
+
+  this.player.on('ads-first-quartile', spy);
+  this.player.ads.pod.startAd();
+  this.player.ads.endLinearAdMode();
+
+  // Snapshot restore
+  this.adTimeupdate(10);
+  assert.strictEqual(spy.callCount, 0, 'no quartiles after the ad break');
+});
@@ -0,0 +1,294 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import {parseVmap, getBreakTime} from '../../src/schedule.js';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+const inlineVast = '<VAST version="3.0"><Ad id="inline"><InLine><Creatives><Creative><Linear>' +
+  '<Duration>00:00:05</Duration><MediaFiles>' +
+  '<MediaFile delivery="progressive" type="video/webm" width="640" height="360">' +
+  'http://example.com/inline.webm</MediaFile>' +
+  '</MediaFiles></Linear></Creative></Creatives></InLine></Ad></VAST>';
+
+const vmap = '<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">' +
+  '<vmap:AdBreak timeOffset="start" breakType="linear" breakId="pre">' +
+  '<vmap:AdSource><vmap:VASTAdData>' + inlineVast + '</vmap:VASTAdData></vmap:AdSource>' +
+  '</vmap:AdBreak>' +
+  '<vmap:AdBreak timeOffset="00:00:10.000" breakType="linear" breakId="mid">' +
+  '<vmap:AdSource><vmap:AdTagURI templateType="vast3">' +
+  '<![CDATA[http://example.com/mid.xml]]></vmap:AdTagURI></vmap:AdSource>' +
+  '</vmap:AdBreak>' +
+  '<vmap:AdBreak timeOffset="50%" breakType="nonlinear" breakId="overlay"></vmap:AdBreak>' +
+  '<vmap:AdBreak timeOffset="end" breakType="linear" breakId="post">' +
+  '<vmap:AdSource><vmap:CustomAdData>custom</vmap:CustomAdData></vmap:AdSource>' +
+  '</vmap:AdBreak>' +
+  '</vmap:VMAP>';
+
+QUnit.module('Ad Schedule', sharedModuleHooks({
+  beforeEach() {
+    this.time = 0;
+    this.sandbox.stub(this.player, 'currentTime').callsFake(() => this.time);
+    this.sandbox.stub(this.player, 'duration').returns(100);
+    this.sandbox.stub(this.player, 'seeking').returns(false);
+
+    this.adBreakReady = sinon.spy();
+    this.player.on('adbreakready', this.adBreakReady);
+
+    // Get to content playback without a preroll
+    this.startContent = () => {
+      this.player.trigger('loadstart');
+      this.player.trigger('adsready');
+      this.player.trigger('play');
+      this.player.trigger('playing');
+    };
+
+    this.timeupdate = (time) => {
+      this.time = time;
+      this.player.trigger('timeupdate');
+    };
+
+    this.seek = (time) => {
+      this.player.trigger('seeking');
+      this.time = time;
+      this.player.trigger('seeked');
+    };
+  }
+}));
+
+QUnit.test('parses the linear breaks of a VMAP document', function(assert) {
+  const breaks = parseVmap(vmap);
+
+  assert.deepEqual(breaks.map((b) => b.id), ['pre', 'mid', 'post'], 'non-linear break left out');
+  assert.strictEqual(breaks[0].offset, 'start');
+  assert.strictEqual(breaks[0].vast.nodeName, 'VAST', 'inline VAST data');
+  assert.strictEqual(breaks[1].vastUrl, 'http://example.com/mid.xml', 'ad tag URI');
+  assert.strictEqual(breaks[2].data, 'custom', 'custom ad data');
+});
+
+QUnit.test('resolves break offsets', function(assert) {
+  assert.strictEqual(getBreakTime(30, 100), 30, 'seconds');
+  assert.strictEqual(getBreakTime('00:01:00', 100), 60, 'timecode');
+  assert.strictEqual(getBreakTime('25%', 100), 25, 'percentage');
+});
+
+QUnit.test('maps offsets to break types', function(assert) {
+  this.player.ads.schedule.load([
+    {offset: 'start'},
+    {offset: '00:00:00'},
+    {offset: 15},
+    {offset: '10%'},
+    {offset: 'end'},
+    {offset: '100%'},
+    {offset: '#1'}
+  ]);
+
+  assert.deepEqual(this.player.ads.schedule.breaks.map((b) => b.type), [
+    'preroll', 'preroll', 'midroll', 'midroll', 'postroll', 'postroll'
+  ], 'unsupported offset left out');
+});
+
+QUnit.test('triggers nopreroll and nopostroll when the schedule has none', function(assert) {
+  const nopreroll = sinon.spy();
+  const nopostroll = sinon.spy();
+
+  this.player.on('nopreroll', nopreroll);
+  this.player.on('nopostroll', nopostroll);
+
+  this.player.ads.schedule.load([{offset: 10}]);
+
+  assert.strictEqual(nopreroll.callCount, 1, 'nopreroll');
+  assert.strictEqual(nopostroll.callCount, 1, 'nopostroll');
+
+  this.player.ads.schedule.load(vmap);
+
+  assert.strictEqual(nopreroll.callCount, 1, 'no nopreroll with a preroll break');
+  assert.strictEqual(nopostroll.callCount, 1, 'no nopostroll with a postroll break');
+});
+
+QUnit.test('plays a preroll break with inline VAST', function(assert) {
+  const srcStub = this.sandbox.stub(this.player, 'src');
+
+  this.player.ads.schedule.load(vmap);
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+
+  assert.ok(this.player.ads.inAdBreak(), 'preroll break started');
+  assert.strictEqual(this.player.ads.adType, 'preroll');
+  assert.strictEqual(srcStub.firstCall.args[0].src, 'http://example.com/inline.webm', 'ad loaded');
+  assert.ok(this.player.ads.schedule.breaks[0].played, 'break marked as played');
+});
+
+QUnit.test('starts midrolls when content playback reaches them', function(assert) {
+  this.player.ads.schedule.load([{offset: 10, id: 'mid', data: 'custom'}]);
+  this.startContent();
+
+  this.timeupdate(5);
+  assert.strictEqual(this.adBreakReady.callCount, 0, 'too early');
+
+  this.timeupdate(10.1);
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'break is ready');
+  assert.strictEqual(this.adBreakReady.firstCall.args[0].adBreak.id, 'mid', 'for the scheduled break');
+
+  this.timeupdate(10.3);
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'only once');
+});
+
+QUnit.test('percentage midrolls use the content duration', function(assert) {
+  this.player.ads.schedule.load([{offset: '50%'}]);
+  this.startContent();
+
+  this.timeupdate(49);
+  assert.strictEqual(this.adBreakReady.callCount, 0, 'too early');
+
+  this.timeupdate(50.2);
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'break is ready');
+});
+
+QUnit.test('seeking past breaks plays the last one by default', function(assert) {
+  this.player.ads.schedule.load([{offset: 10, id: 'a'}, {offset: 20, id: 'b'}]);
+  this.startContent();
+
+  this.timeupdate(1);
+  this.seek(30);
+  this.timeupdate(30.2);
+  this.timeupdate(30.4);
+
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'one break');
+  assert.strictEqual(this.adBreakReady.firstCall.args[0].adBreak.id, 'b', 'the last one');
+});
+
+QUnit.test('seeking past breaks can play all of them or none', function(assert) {
+  this.player.ads.settings.seekPastBreaks = 'playAll';
+  this.player.ads.schedule.load([{offset: 10, id: 'a'}, {offset: 20, id: 'b'}]);
+  this.startContent();
+
+  this.timeupdate(1);
+  this.seek(30);
+  this.timeupdate(30.2);
+  this.timeupdate(30.4);
+
+  assert.deepEqual(
+    this.adBreakReady.args.map((args) => args[0].adBreak.id), ['a', 'b'],
+    'all breaks play'
+  );
+
+  this.player.ads.settings.seekPastBreaks = 'skip';
+  this.player.ads.schedule.load([{offset: 40, id: 'c'}]);
+  this.timeupdate(30.6);
+  this.seek(50);
+  this.timeupdate(50.2);
+
+  assert.strictEqual(this.adBreakReady.callCount, 2, 'skipped break does not play');
+  assert.ok(this.player.ads.schedule.breaks[0].played, 'skipped break is considered played');
+});
+
+QUnit.test('can snap back to breaks that were seeked past', function(assert) {
+  this.player.currentTime.callsFake((time) => {
+    if (time !== undefined) {
+      this.time = time;
+    }
+    return this.time;
+  });
+  this.player.ads.settings.snapBack = true;
+  this.player.ads.settings.seekPastBreaks = 'playAll';
+  this.player.ads.schedule.load([{offset: 10, id: 'a'}, {offset: 20, id: 'b'}]);
+  this.player.on('adbreakready', () => {
+    this.player.ads.startLinearAdMode();
+  });
+  this.startContent();
+
+  this.timeupdate(1);
+  this.seek(30);
+  this.timeupdate(30.2);
+
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'first break');
+  assert.strictEqual(this.time, 10, 'snapped back to the first break');
+  assert.strictEqual(this.player.ads.snapshot.currentTime, 20, 'resumes at the next break');
+
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('playing');
+  this.timeupdate(20.1);
+
+  assert.strictEqual(this.adBreakReady.callCount, 2, 'second break');
+  assert.strictEqual(this.time, 20, 'at the second break');
+  assert.strictEqual(this.player.ads.snapshot.currentTime, 30, 'resumes at the seek target');
+
+  this.player.ads.endLinearAdMode();
+  this.player.trigger('playing');
+  assert.strictEqual(this.time, 30, 'content resumed at the seek target');
+});
+
+QUnit.test('snaps back once the break has started', function(assert) {
+  this.player.currentTime.callsFake((time) => {
+    if (time !== undefined) {
+      this.time = time;
+    }
+    return this.time;
+  });
+  this.player.ads.settings.snapBack = true;
+  this.player.ads.schedule.load([{offset: 10}]);
+  this.startContent();
+
+  this.timeupdate(1);
+  this.seek(30);
+  this.timeupdate(30.2);
+
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'break ready');
+  assert.strictEqual(this.time, 30.2, 'content stays at the seek target while the ads load');
+
+  this.player.ads.startLinearAdMode();
+  assert.strictEqual(this.time, 10, 'snapped back to the break');
+  assert.strictEqual(this.player.ads.snapshot.currentTime, 30, 'resumes at the seek target');
+});
+
+QUnit.test('seeking backwards does not replay breaks', function(assert) {
+  this.player.ads.schedule.load([{offset: 10}]);
+  this.startContent();
+
+  this.timeupdate(9.9);
+  this.timeupdate(10.1);
+  this.seek(2);
+  this.timeupdate(9.9);
+  this.timeupdate(10.1);
+
+  assert.strictEqual(this.adBreakReady.callCount, 1, 'played once');
+});
+
+QUnit.test('the schedule is cleared when content changes', function(assert) {
+  this.player.ads.schedule.load([{offset: 10}]);
+  this.player.trigger('contentchanged');
+
+  assert.strictEqual(this.player.ads.schedule.breaks.length, 0, 'no breaks');
+});
+
+QUnit.module('Ad Schedule snap back', sharedModuleHooks({
+  beforeEach() {
+    this.sandbox.stub(this.player, 'duration').returns(100);
+    this.sandbox.stub(this.player, 'seeking').returns(false);
+    this.player.src({src: 'http://example.com/movie.mp4', type: 'video/mp4'});
+    this.clock.tick(1);
+  }
+}));
+
+QUnit.test('snaps back through the seek middleware', function(assert) {
+  const seekBlocked = sinon.spy();
+
+  this.player.on('adseekblocked', seekBlocked);
+  this.player.ads.settings.snapBack = true;
+  this.player.ads.schedule.load([{offset: 10}]);
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('playing');
+
+  this.player.currentTime(1);
+  this.player.trigger('timeupdate');
+  this.player.trigger('seeking');
+  this.player.currentTime(30);
+  this.player.trigger('seeked');
+  this.player.trigger('timeupdate');
+
+  this.player.ads.startLinearAdMode();
+  assert.strictEqual(this.player.currentTime(), 10, 'snapped back to the break');
+  assert.strictEqual(seekBlocked.callCount, 0, 'the seek is not blocked');
+});
@@ -522,3 +522,192 @@ QUnit.test('Call play after live preroll on iOS', function(assert) {
   this.player.trigger('contentcanplay');
   assert.strictEqual(played, 1, 'Play happened');
 });
+
+QUnit.test('snapshot handlers capture and restore extra state', function(assert) {
+  const calls = [];
+
+  this.player.ads.addSnapshotHandler({
+    name: 'custom',
+    capture(player, snapshotObject) {
+      calls.push('capture');
+      snapshotObject.custom = 'value';
+    },
+    restore(player, snapshotObject) {
+      calls.push('restore ' + snapshotObject.custom);
+    }
+  });
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  assert.strictEqual(this.player.ads.snapshot.custom, 'value', 'field added to the snapshot');
+
+  this.player.ads.endLinearAdMode();
+  assert.deepEqual(calls, ['capture', 'restore value'], 'handlers called');
+});
+
+QUnit.test('a snapshot handler can take over resuming playback', function(assert) {
+  const playSpy = sinon.spy(this.player, 'play');
+  const resume = sinon.stub().returns(true);
+
+  this.player.ads.addSnapshotHandler({name: 'resume', resume});
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.endLinearAdMode();
+
+  assert.strictEqual(resume.callCount, 1, 'resume handler called');
+  assert.strictEqual(playSpy.callCount, 0, 'default resume skipped');
+
+  this.player.ads.removeSnapshotHandler('resume');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.endLinearAdMode();
+
+  assert.strictEqual(resume.callCount, 1, 'handler removed');
+});
+
+QUnit.test('snapshot restore uses the configured timing', function(assert) {
+  const resume = sinon.stub().returns(true);
+  const failed = sinon.spy();
+
+  this.player.ads.settings.snapshotRestoreTimeout = 500;
+  this.player.ads.settings.snapshotRestoreAttempts = 2;
+  this.player.ads.settings.snapshotRestoreInterval = 100;
+  this.player.ads.addSnapshotHandler({name: 'resume', resume});
+  this.player.on('snapshotrestorefailed', failed);
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.videoElementRecycled = () => true;
+  this.player.ads.endLinearAdMode();
+
+  this.player.el().querySelector = () => {
+    return {readyState: 0, seekable: {length: 0}};
+  };
+
+  this.clock.tick(499);
+  assert.strictEqual(resume.callCount, 0, 'waiting for contentcanplay');
+
+  this.clock.tick(1 + 100 + 100);
+  assert.strictEqual(resume.callCount, 1, 'resumed after the attempts');
+  assert.strictEqual(failed.callCount, 0, 'no failure');
+});
+
+QUnit.test('snapshotrestorefailed is triggered when a handler fails', function(assert) {
+  const failed = sinon.spy();
+
+  this.player.on('snapshotrestorefailed', failed);
+  this.player.ads.addSnapshotHandler({
+    name: 'broken',
+    restore() {
+      throw new Error('broken');
+    }
+  });
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.endLinearAdMode();
+
+  assert.strictEqual(failed.callCount, 1, 'failed handler');
+  assert.strictEqual(failed.firstCall.args[0].reason, 'handler', 'reason');
+  assert.strictEqual(failed.firstCall.args[0].handler, 'broken', 'handler name');
+
+});
+
+QUnit.test('snapshotrestorefailed is triggered when content is not seekable', function(assert) {
+  const failed = sinon.spy();
+
+  this.player.on('snapshotrestorefailed', failed);
+  this.player.ads.settings.snapshotRestoreAttempts = 0;
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  this.player.ads.videoElementRecycled = () => true;
+  this.player.ads.endLinearAdMode();
+
+  this.player.el().querySelector = () => {
+    return {readyState: 0, seekable: {length: 0}};
+  };
+  this.player.currentTime = () => {
+    throw new Error('not seekable');
+  };
+  this.clock.tick(2000);
+
+  assert.strictEqual(failed.callCount, 1, 'gave up');
+  assert.strictEqual(failed.firstCall.args[0].reason, 'notseekable', 'reason');
+});
+
+QUnit.test('ads play at 1x and the playback rate is restored', function(assert) {
+  let rate = 1.5;
+
+  this.player.playbackRate = (value) => {
+    if (value !== undefined) {
+      rate = value;
+    }
+    return rate;
+  };
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  assert.strictEqual(rate, 1, 'ad plays at 1x');
+  assert.strictEqual(this.player.ads.snapshot.playbackRate, 1.5, 'rate is in the snapshot');
+
+  this.player.ads.endLinearAdMode();
+  assert.strictEqual(rate, 1.5, 'rate restored');
+});
+
+QUnit.test('ads play with the main audio track and the audio track is restored', function(assert) {
+  const AudioTrack = videojs.AudioTrack;
+  const audioTracks = this.player.audioTracks();
+  const main = new AudioTrack({id: 'en', kind: 'main', language: 'en', enabled: true});
+  const alternative = new AudioTrack({id: 'fr', kind: 'alternative', language: 'fr'});
+
+  audioTracks.addTrack(main);
+  audioTracks.addTrack(alternative);
+  alternative.enabled = true;
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+  assert.ok(main.enabled, 'main audio during the ad');
+  assert.deepEqual(this.player.ads.snapshot.audioTrack, {
+    id: 'fr', kind: 'alternative', label: '', language: 'fr'
+  }, 'audio track is in the snapshot');
+
+  this.player.ads.endLinearAdMode();
+  assert.ok(alternative.enabled, 'audio track restored');
+  assert.notOk(main.enabled, 'main audio disabled');
+});
+
+QUnit.test('the selected quality levels are restored as they are added', function(assert) {
+  let addListener;
+  const levels = [{id: 'low', enabled: true}, {id: 'high', enabled: false}];
+
+  levels.on = (type, listener) => {
+    addListener = listener;
+  };
+  levels.off = () => {
+    addListener = null;
+  };
+  this.player.qualityLevels = () => levels;
+
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.ads.startLinearAdMode();
+
+  // The content source is reloaded and its levels are added again
+  levels.length = 0;
+  this.player.ads.endLinearAdMode();
+
+  const high = {id: 'high', enabled: true};
+
+  levels.push(high);
+  addListener({qualityLevel: high});
+  assert.strictEqual(high.enabled, false, 'level disabled like before the ad');
+
+  this.player.trigger('contentchanged');
+  assert.strictEqual(addListener, null, 'stops restoring when the source changes');
+});
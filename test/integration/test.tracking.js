@@ -0,0 +1,124 @@
+import QUnit from 'qunit';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+QUnit.module('Ad Tracking', sharedModuleHooks({
+  beforeEach() {
+    this.requests = [];
+    this.callbacks = [];
+    this.player.ads.tracking.setTransport((url, callback) => {
+      this.requests.push(url);
+      this.callbacks.push(callback);
+    });
+  }
+}));
+
+QUnit.test('sends registered URLs for common interface events', function(assert) {
+  const tracking = this.player.ads.tracking;
+
+  tracking.register('impression', ['http://example.com/imp', 'http://example.com/imp2']);
+  tracking.register('start', 'http://example.com/start');
+  tracking.register('midpoint', 'http://example.com/mid');
+  tracking.register('complete', 'http://example.com/complete');
+  this.startBreak([{id: 'a', duration: 10}]);
+  this.player.ads.pod.startAd();
+
+  assert.deepEqual(this.requests, [
+    'http://example.com/imp', 'http://example.com/imp2', 'http://example.com/start'
+  ], 'impressions and start');
+
+  this.player.trigger('ads-midpoint');
+  this.player.ads.pod.endAd();
+
+  assert.deepEqual(this.requests.slice(3), [
+    'http://example.com/mid', 'http://example.com/complete'
+  ], 'midpoint and complete');
+  assert.deepEqual(tracking.urls, {}, 'URLs are cleared when the ad ends');
+});
+
+QUnit.test('sends each tracking URL once per ad', function(assert) {
+  const tracking = this.player.ads.tracking;
+
+  tracking.register('start', 'http://example.com/start');
+  tracking.register('start', 'http://example.com/start');
+  tracking.register('click', 'http://example.com/click');
+  this.startBreak([{id: 'a', duration: 10}]);
+  this.player.ads.pod.startAd();
+
+  tracking.fire('start');
+  this.player.trigger('ads-click');
+  this.player.trigger('ads-click');
+
+  assert.deepEqual(this.requests, [
+    'http://example.com/start', 'http://example.com/click', 'http://example.com/click'
+  ], 'start is deduplicated, clicks are not');
+});
+
+QUnit.test('replaces macros', function(assert) {
+  const tracking = this.player.ads.tracking;
+
+  this.sandbox.stub(this.player, 'currentTime').returns(65.25);
+  this.player.options_['data-player'] = 'p 1';
+  tracking.register('start', 'http://example.com/start?p={player.id}&t=[CONTENTPLAYHEAD]&c=[CACHEBUSTING]');
+  tracking.register('error', 'http://example.com/error?code=[ERRORCODE]');
+  this.startBreak([{id: 'a', duration: 10}]);
+  this.player.ads.pod.startAd();
+
+  assert.ok(
+    /^http:\/\/example.com\/start\?p=p%201&t=00%3A01%3A05.250&c=\d{8}$/.test(this.requests[0]),
+    'macros are replaced and encoded'
+  );
+
+  this.player.trigger({type: 'adserror', code: 405});
+
+  assert.strictEqual(this.requests[1], 'http://example.com/error?code=405', 'error code');
+});
+
+QUnit.test('replaces VAST macros with the content time of the snapshot', function(assert) {
+  const tracking = this.player.ads.tracking;
+
+  this.startBreak([{id: 'a', duration: 10}]);
+  this.player.ads.pod.startAd();
+  this.player.ads.snapshot.currentTime = 3725.5;
+  tracking.register('progress', 'http://example.com/progress?t=[CONTENTPLAYHEAD]&e=[ERRORCODE]');
+  tracking.fire('progress');
+
+  assert.strictEqual(
+    this.requests[0], 'http://example.com/progress?t=01%3A02%3A05.500&e=',
+    'content playhead and empty error code'
+  );
+});
+
+QUnit.test('retries failed requests', function(assert) {
+  this.player.ads.tracking.send('http://example.com/pixel');
+  this.callbacks[0](new Error('failed'));
+
+  assert.strictEqual(this.requests.length, 1, 'waits before retrying');
+  assert.strictEqual(this.player.ads.tracking.queue.length, 1, 'request is queued');
+
+  this.clock.tick(1000);
+  assert.strictEqual(this.requests.length, 2, 'first retry');
+  this.callbacks[1](new Error('failed'));
+
+  this.clock.tick(2000);
+  assert.strictEqual(this.requests.length, 3, 'second retry');
+  this.callbacks[2](new Error('failed'));
+
+  this.clock.tick(5000);
+  assert.strictEqual(this.requests.length, 3, 'gives up after trackingRetries');
+  assert.strictEqual(this.player.ads.tracking.queue.length, 0, 'queue is empty');
+});
+
+QUnit.test('skipped ads are not complete', function(assert) {
+  const tracking = this.player.ads.tracking;
+
+  this.sandbox.stub(this.player, 'currentTime').returns(6);
+  tracking.register('skip', 'http://example.com/skip');
+  tracking.register('complete', 'http://example.com/complete');
+  this.startBreak([{id: 'a', duration: 10, skipOffset: 5}]);
+  this.player.ads.pod.startAd();
+
+  this.player.ads.pod.skipAd();
+  this.player.ads.pod.endAd();
+
+  assert.deepEqual(this.requests, ['http://example.com/skip'], 'skip tracking only');
+});
@@ -0,0 +1,268 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import {VAST_ERRORS, parseTime, parseOffset} from '../../src/vast.js';
+import sharedModuleHooks from './lib/shared-module-hooks.js';
+
+const fixture = (name) => `/base/test/integration/lib/${name}`;
+
+QUnit.module('VAST', sharedModuleHooks());
+
+QUnit.test('parses VAST timecodes and offsets', function(assert) {
+  assert.strictEqual(parseTime('00:00:10'), 10);
+  assert.strictEqual(parseTime('01:02:03.500'), 3723.5);
+  assert.ok(isNaN(parseTime('10')), 'seconds alone are not a timecode');
+  assert.strictEqual(parseOffset('25%', 20), 5);
+  assert.strictEqual(parseOffset('00:00:05', 20), 5);
+});
+
+QUnit.test('loads an inline VAST pod in sequence order', function(assert) {
+  const done = assert.async();
+
+  this.player.ads.vast.load(fixture('vast-inline.xml'), (error, pod) => {
+    assert.strictEqual(error, null, 'no error');
+    assert.strictEqual(pod.version, '3.0');
+    assert.deepEqual(pod.ads.map((ad) => ad.id), ['first', 'second'], 'standalone ad left out of the pod');
+
+    const first = pod.ads[0];
+
+    assert.strictEqual(first.duration, 20, 'duration');
+    assert.strictEqual(first.skipOffset, 5, 'percentage skip offset');
+    assert.deepEqual(first.impressions, ['http://example.com/first/impression']);
+    assert.deepEqual(first.trackingEvents.start, ['http://example.com/first/start']);
+    assert.deepEqual(first.progressEvents, [{offset: '00:00:05', url: 'http://example.com/first/5s'}]);
+    assert.strictEqual(first.clickThrough, 'http://example.com/first/landing');
+    assert.deepEqual(first.clickTracking, ['http://example.com/first/click']);
+    assert.strictEqual(first.mediaFiles.length, 3, 'all media files');
+    assert.strictEqual(pod.ads[1].duration, 15.5, 'fractional duration');
+    done();
+  });
+});
+
+QUnit.test('keeps standalone ads when there is no pod', function(assert) {
+  const pod = this.player.ads.vast.parse('<VAST version="2.0">' +
+    '<Ad id="a"><InLine><Creatives><Creative><Linear><Duration>00:00:05</Duration>' +
+    '</Linear></Creative></Creatives></InLine></Ad>' +
+    '<Ad id="b"><InLine><Creatives><Creative><NonLinearAds/></Creative></Creatives></InLine></Ad>' +
+    '<Ad id="c"><InLine><Creatives><Creative><Linear><Duration>00:00:05</Duration>' +
+    '</Linear></Creative></Creatives></InLine></Ad>' +
+    '</VAST>');
+
+  assert.deepEqual(pod.ads.map((ad) => ad.id), ['a', 'c'], 'non-linear ads are left out');
+});
+
+QUnit.test('reports parse errors with VAST error codes', function(assert) {
+  assert.throws(
+    () => this.player.ads.vast.parse('<VAST version="3.0">'),
+    (error) => error.code === VAST_ERRORS.XML_PARSE,
+    'malformed XML'
+  );
+  assert.throws(
+    () => this.player.ads.vast.parse('<VAST version="1.0"></VAST>'),
+    (error) => error.code === VAST_ERRORS.VERSION_UNSUPPORTED,
+    'VAST 1 is not supported'
+  );
+});
+
+QUnit.test('follows wrappers and merges their tracking', function(assert) {
+  const done = assert.async();
+
+  this.player.ads.vast.load(fixture('vast-wrapper.xml'), (error, pod) => {
+    assert.strictEqual(error, null, 'no error');
+    assert.deepEqual(pod.ads.map((ad) => ad.id), ['first', 'second'], 'wrapped pod');
+    assert.deepEqual(pod.ads[0].impressions, [
+      'http://example.com/wrapper/impression',
+      'http://example.com/first/impression'
+    ], 'wrapper impression comes first');
+    assert.deepEqual(pod.ads[0].trackingEvents.start, [
+      'http://example.com/wrapper/start',
+      'http://example.com/first/start'
+    ], 'wrapper tracking merged');
+    assert.deepEqual(pod.ads[1].trackingEvents.start, [
+      'http://example.com/wrapper/start'
+    ], 'wrapper tracking added to every wrapped ad');
+    done();
+  });
+});
+
+QUnit.test('stops following wrappers at the wrapper limit', function(assert) {
+  const done = assert.async();
+  const xhrSpy = sinon.spy(this.player.ads.vast, 'request_');
+
+  this.player.ads.settings.vastWrapperLimit = 2;
+
+  this.player.ads.vast.load(fixture('vast-wrapper-loop.xml'), (error, pod) => {
+    assert.strictEqual(error.code, VAST_ERRORS.WRAPPER_LIMIT, 'wrapper limit error');
+    assert.strictEqual(pod, undefined, 'no pod');
+    assert.strictEqual(xhrSpy.callCount, 3, 'initial request and two wrappers');
+    done();
+  });
+});
+
+QUnit.test('reports request failures with the undefined error code', function(assert) {
+  const xhr = sinon.stub(videojs, 'xhr').callsFake((options, callback) => {
+    callback(null, {statusCode: 500}, '');
+  });
+
+  this.player.ads.vast.load('http://example.com/vast', (error) => {
+    assert.strictEqual(error.code, VAST_ERRORS.UNDEFINED, 'HTTP error');
+  });
+
+  xhr.callsFake((options, callback) => {
+    const timeout = new Error('XMLHttpRequest timeout');
+
+    timeout.code = 'ETIMEDOUT';
+    callback(timeout, {statusCode: 0}, '');
+  });
+
+  this.player.ads.vast.load('http://example.com/vast', (error) => {
+    assert.strictEqual(error.code, VAST_ERRORS.UNDEFINED, 'the ad tag is not a wrapper');
+  });
+
+  xhr.restore();
+});
+
+QUnit.test('reports wrapper timeouts with code 301', function(assert) {
+  const done = assert.async();
+  const request = this.player.ads.vast.request_;
+
+  sinon.stub(this.player.ads.vast, 'request_').callsFake((url, depth, callback) => {
+    if (depth === 0) {
+      return request(fixture('vast-wrapper.xml'), depth, callback);
+    }
+
+    const xhr = sinon.stub(videojs, 'xhr').callsFake((options, xhrCallback) => {
+      const timeout = new Error('XMLHttpRequest timeout');
+
+      timeout.code = 'ETIMEDOUT';
+      xhrCallback(timeout, {statusCode: 0}, '');
+    });
+
+    request(url, depth, callback);
+    xhr.restore();
+  });
+
+  this.player.ads.vast.load(fixture('vast-wrapper.xml'), (error) => {
+    assert.strictEqual(error.code, VAST_ERRORS.WRAPPER_TIMEOUT, 'wrapper timeout');
+    done();
+  });
+});
+
+QUnit.test('plays the ads of a pod in one ad break', function(assert) {
+  const done = assert.async();
+  const srcSpy = sinon.stub(this.player, 'src');
+  const adStarted = sinon.spy();
+  const requests = [];
+
+  this.player.on('ads-ad-started', adStarted);
+  this.player.ads.tracking.setTransport((url) => requests.push(url));
+
+  this.player.ads.vast.load(fixture('vast-inline.xml'), (error, pod) => {
+    assert.strictEqual(error, null, 'no error');
+
+    this.player.on('readyforpreroll', () => {
+      this.player.ads.vast.playPod(pod, (playError) => {
+        assert.strictEqual(playError, null, 'played without error');
+        assert.notOk(this.player.ads.inAdBreak(), 'ad break is over');
+        done();
+      });
+    });
+
+    this.player.trigger('loadstart');
+    this.player.trigger('adsready');
+    this.player.trigger('play');
+
+    assert.ok(this.player.ads.inAdBreak(), 'ad break started');
+    assert.strictEqual(
+      srcSpy.firstCall.args[0].src, 'http://example.com/first-360.webm',
+      'supported media file closest to the player size'
+    );
+
+    this.player.trigger('adplaying');
+    assert.strictEqual(adStarted.callCount, 1, 'ads-ad-started triggered');
+    assert.strictEqual(adStarted.firstCall.args[0].indexInBreak, 0, 'with the index in the break');
+    assert.deepEqual(requests, [
+      'http://example.com/first/impression', 'http://example.com/first/start'
+    ], 'impression and start tracking sent');
+
+    this.player.trigger('adended');
+    assert.strictEqual(
+      srcSpy.lastCall.args[0].src, 'http://example.com/second.webm',
+      'second ad loaded'
+    );
+
+    this.player.trigger('adended');
+  });
+});
+
+QUnit.test('plays the next ad of a pod after an ad error', function(assert) {
+  const done = assert.async();
+  const srcSpy = sinon.stub(this.player, 'src');
+  const adStarted = sinon.spy();
+
+  this.player.on('ads-ad-started', adStarted);
+  this.player.ads.tracking.setTransport(() => {});
+
+  this.player.ads.vast.load(fixture('vast-inline.xml'), (error, pod) => {
+    assert.strictEqual(error, null, 'no error');
+
+    this.player.on('readyforpreroll', () => {
+      this.player.ads.vast.playPod(pod, (playError) => {
+        assert.strictEqual(playError, null, 'played without error');
+        assert.strictEqual(this.player.ads.pod.errors.length, 1, 'one error recorded');
+        done();
+      });
+    });
+
+    this.player.trigger('loadstart');
+    this.player.trigger('adsready');
+    this.player.trigger('play');
+
+    // The first ad fails before it plays
+    this.player.trigger({type: 'adserror', continueBreak: true, indexInBreak: 0});
+    assert.ok(this.player.ads.inAdBreak(), 'ad break continues');
+    assert.strictEqual(
+      srcSpy.lastCall.args[0].src, 'http://example.com/second.webm',
+      'second ad loaded'
+    );
+
+    this.player.trigger('adplaying');
+    assert.strictEqual(adStarted.firstCall.args[0].indexInBreak, 1, 'second ad started');
+
+    this.player.trigger('adended');
+  });
+});
+
+QUnit.test('sends the progress tracking of the ads in a pod', function(assert) {
+  const requests = [];
+  const pod = this.player.ads.vast.parse('<VAST version="3.0">' +
+    '<Ad id="a"><InLine><Creatives><Creative><Linear>' +
+    '<Duration>00:00:10</Duration><TrackingEvents>' +
+    '<Tracking event="progress" offset="00:00:05">http://example.com/5s</Tracking>' +
+    '</TrackingEvents><MediaFiles>' +
+    '<MediaFile delivery="progressive" type="video/webm" width="640" height="360">' +
+    'http://example.com/a.webm</MediaFile>' +
+    '</MediaFiles></Linear></Creative></Creatives></InLine></Ad></VAST>');
+
+  this.sandbox.stub(this.player, 'src');
+  this.useFakeCurrentTime();
+  this.player.ads.tracking.setTransport((url) => requests.push(url));
+  this.player.on('readyforpreroll', () => {
+    this.player.ads.vast.playPod(pod);
+  });
+
+  this.player.trigger('loadstart');
+  this.player.trigger('adsready');
+  this.player.trigger('play');
+  this.player.trigger('adplaying');
+
+  this.adTimeupdate(4);
+  assert.deepEqual(requests, [], 'not sent before the offset');
+
+  this.adTimeupdate(5);
+  assert.deepEqual(requests, ['http://example.com/5s'], 'sent at the offset');
+
+  this.player.trigger('adended');
+  assert.notOk(this.player.ads.inAdBreak(), 'ad break is over');
+  assert.deepEqual(this.player.ads.progress.offsets, [], 'the offset is removed after the pod');
+});
@@ -10,7 +10,8 @@ QUnit.module('ContentState', {
   beforeEach() {
     this.player = {
       ads: {
-        debug: () => {}
+        debug: () => {},
+        _bypassMiddleware: (fn) => fn()
       }
     };
 
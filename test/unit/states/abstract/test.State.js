@@ -1,5 +1,6 @@
 import QUnit from 'qunit';
 import sinon from 'sinon';
+import videojs from 'video.js';
 import State from '../../../../src/states/abstract/State.js';
 
 /*
@@ -11,7 +12,8 @@ QUnit.module('State', {
     this.player = {
       ads: {
         debug: () => {}
-      }
+      },
+      trigger: sinon.spy()
     };
 
     this.state = new State(this.player);
@@ -42,6 +44,49 @@ QUnit.test('can transition to another state', function(assert) {
   assert.equal(mockStateInit, true, 'initialized new state');
 });
 
+QUnit.test('triggers adstatechange with the cause of the transition', function(assert) {
+  class MockState {
+    static _getName() {
+      return 'MockState';
+    }
+    init() {}
+  }
+
+  this.player.ads._cause = 'adsready';
+  this.state.transitionTo(MockState);
+
+  assert.deepEqual(this.player.trigger.firstCall.args[0], {
+    type: 'adstatechange',
+    from: 'Anonymous State',
+    to: 'MockState',
+    cause: 'adsready'
+  });
+});
+
+QUnit.test('warns about undeclared transitions when debugging', function(assert) {
+  const warnSpy = sinon.spy(videojs.log, 'warn');
+
+  class MockState {
+    static _getName() {
+      return 'MockState';
+    }
+    init() {}
+  }
+
+  this.state.transitionTo(MockState);
+  assert.strictEqual(warnSpy.callCount, 0, 'no warning without debug');
+
+  this.player.ads.settings = {debug: true};
+  this.state.transitionTo(MockState);
+  assert.strictEqual(warnSpy.callCount, 1, 'warned');
+  assert.strictEqual(
+    warnSpy.firstCall.args[0], 'Undeclared state transition: Anonymous State -> MockState',
+    'with the transition'
+  );
+
+  warnSpy.restore();
+});
+
 QUnit.test('throws error if isAdState is not implemented', function(assert) {
   let error;
 
@@ -1,4 +1,5 @@
 import QUnit from 'qunit';
+import sinon from 'sinon';
 import ContentPlayback from '../../../src/states/ContentPlayback.js';
 
 /*
@@ -18,6 +19,10 @@ QUnit.module('ContentPlayback', {
       },
       ads: {
         debug: () => {},
+        policy: {
+          check: () => null,
+          apply: sinon.spy()
+        },
         _shouldBlockPlay: true
       }
     };
@@ -60,3 +65,39 @@ QUnit.test('sets _shouldBlockPlay to false on init', function(assert) {
   this.contentPlayback.init(this.player);
   assert.equal(this.player.ads._shouldBlockPlay, false);
 });
+
+QUnit.test('does not start a midroll that the policy does not allow', function(assert) {
+  const decision = {action: 'defer', reason: 'minBreakInterval', delay: 10};
+
+  this.player.ads.policy.check = () => decision;
+  this.contentPlayback.init(this.player, false);
+  this.contentPlayback.startLinearAdMode();
+
+  assert.equal(this.newState, undefined, 'no transition');
+  assert.ok(this.player.ads.policy.apply.calledWith('midroll', decision), 'applied the decision');
+});
+
+QUnit.test('transitions to Midroll on requestMidroll', function(assert) {
+  let args;
+
+  this.contentPlayback.transitionTo = (newState, ...rest) => {
+    this.newState = newState.name;
+    args = rest;
+  };
+  this.contentPlayback.init(this.player, false);
+  this.contentPlayback.requestMidroll();
+
+  assert.equal(this.newState, 'Midroll', 'transitioned to Midroll');
+  assert.deepEqual(args, [true], 'the midroll was requested');
+});
+
+QUnit.test('does not request a midroll that the policy does not allow', function(assert) {
+  const decision = {action: 'veto', reason: 'maxBreaksPerHour'};
+
+  this.player.ads.policy.check = () => decision;
+  this.contentPlayback.init(this.player, false);
+  this.contentPlayback.requestMidroll();
+
+  assert.equal(this.newState, undefined, 'no transition');
+  assert.ok(this.player.ads.policy.apply.calledWith('midroll', decision, true), 'applied the decision to a requested midroll');
+});
@@ -9,11 +9,31 @@ import adBreak from '../../../src/adBreak.js';
  */
 QUnit.module('Midroll', {
   beforeEach() {
+    this.events = [];
+    this.paused = false;
+
     this.player = {
       addClass: () => {},
       removeClass: () => {},
+      paused: () => this.paused,
+      pause: () => {
+        this.paused = true;
+      },
+      play: sinon.spy(),
+      trigger: (event) => {
+        this.events.push(event);
+      },
+      setTimeout: sinon.stub().returns(1),
+      clearTimeout: sinon.spy(),
       ads: {
+        settings: {timeout: 5000},
+        debug: () => {},
+        _bypassMiddleware: (fn) => fn(),
         _inLinearAdMode: true,
+        pod: {
+          recordError: sinon.spy(),
+          isExhausted: () => false
+        },
         endLinearAdMode: () => {
           this.calledEndLinearAdMode = true;
         }
@@ -21,6 +41,9 @@ QUnit.module('Midroll', {
     };
 
     this.midroll = new Midroll(this.player);
+    this.midroll.transitionTo = (newState) => {
+      this.newState = newState.name;
+    };
 
     this.adBreakStartStub = sinon.stub(adBreak, 'start');
     this.adBreakEndStub = sinon.stub(adBreak, 'end');
@@ -49,3 +72,100 @@ QUnit.test('adserror during ad break ends ad break', function(assert) {
   this.midroll.onAdsError(this.player);
   assert.equal(this.calledEndLinearAdMode, true, 'linear ad mode ended');
 });
+
+QUnit.test('adserror can continue the ad break', function(assert) {
+  const event = {type: 'adserror', continueBreak: true};
+
+  this.midroll.init(this.player);
+  this.midroll.onAdsError(this.player, event);
+  assert.notOk(this.calledEndLinearAdMode, 'linear ad mode did not end');
+  assert.ok(this.player.ads.pod.recordError.calledWith(event), 'error recorded');
+
+  this.player.ads.pod.isExhausted = () => true;
+  this.midroll.onAdsError(this.player, event);
+  assert.equal(this.calledEndLinearAdMode, true, 'linear ad mode ended after the last ad');
+});
+
+QUnit.test('continueBreakOnAdError continues the ad break', function(assert) {
+  this.player.ads.settings.continueBreakOnAdError = true;
+  this.midroll.init(this.player);
+
+  this.midroll.onAdsError(this.player, {type: 'adserror'});
+  assert.notOk(this.calledEndLinearAdMode, 'linear ad mode did not end');
+
+  this.midroll.onAdsError(this.player, {type: 'adserror', continueBreak: false});
+  assert.equal(this.calledEndLinearAdMode, true, 'the event can end the ad break');
+});
+
+QUnit.test('waits for the ad break when the midroll is requested', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.midroll.init(this.player, true);
+
+  assert.equal(this.adBreakStartStub.callCount, 0, 'ad break not started');
+  assert.ok(this.midroll.isWaitingForAdBreak(), 'waiting for the ad break');
+  assert.ok(this.paused, 'content paused');
+  assert.equal(this.player.ads._shouldBlockPlay, true, 'play is blocked');
+  assert.deepEqual(this.events, ['readyformidroll'], 'readyformidroll');
+  assert.equal(this.player.setTimeout.args[0][1], 5000, 'standard timeout');
+
+  this.midroll.startLinearAdMode();
+  assert.equal(this.adBreakStartStub.callCount, 1, 'ad break started');
+  assert.notOk(this.midroll.isWaitingForAdBreak(), 'not waiting anymore');
+  assert.ok(this.player.clearTimeout.calledWith(1), 'timeout cleared');
+});
+
+QUnit.test('uses midrollTimeout for requested midrolls', function(assert) {
+  this.player.ads.settings.midrollTimeout = 1000;
+  this.midroll.init(this.player, true);
+  assert.equal(this.player.setTimeout.args[0][1], 1000, 'midroll timeout');
+});
+
+QUnit.test('resumes content if the requested midroll times out', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.midroll.init(this.player, true);
+  this.midroll.onAdTimeout(this.player, {type: 'adtimeout'});
+
+  assert.equal(this.newState, 'ContentPlayback', 'transitioned to ContentPlayback');
+  assert.equal(this.player.ads.adType, null, 'no ad type');
+  assert.equal(this.player.play.callCount, 1, 'content plays again');
+});
+
+QUnit.test('resumes content if there is no requested midroll', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.midroll.init(this.player, true);
+  this.midroll.skipLinearAdMode();
+
+  assert.ok(this.events.indexOf('adskip') !== -1, 'adskip');
+  assert.equal(this.newState, 'ContentPlayback', 'transitioned to ContentPlayback');
+  assert.equal(this.player.play.callCount, 1, 'content plays again');
+});
+
+QUnit.test('does not play content that was paused before the request', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.paused = true;
+  this.midroll.init(this.player, true);
+  this.midroll.onAdsError(this.player, {type: 'adserror'});
+
+  assert.equal(this.newState, 'ContentPlayback', 'transitioned to ContentPlayback');
+  assert.equal(this.player.play.callCount, 0, 'content stays paused');
+});
+
+QUnit.test('checks for a preroll if content changes while waiting', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.midroll.init(this.player, true);
+  this.midroll.onContentChanged(this.player);
+
+  assert.equal(this.newState, 'Preroll', 'transitioned to Preroll');
+  assert.notOk(this.midroll.isWaitingForAdBreak(), 'not waiting anymore');
+  assert.ok(this.player.clearTimeout.calledWith(1), 'timeout cleared');
+  assert.equal(this.player.ads._pausedOnContentupdate, true, 'content plays after the preroll check');
+});
+
+QUnit.test('waits for play if content changes while waiting and paused', function(assert) {
+  this.player.ads._inLinearAdMode = false;
+  this.paused = true;
+  this.midroll.init(this.player, true);
+  this.midroll.onContentChanged(this.player);
+
+  assert.equal(this.newState, 'BeforePreroll', 'transitioned to BeforePreroll');
+});
@@ -19,6 +19,17 @@ QUnit.module('Preroll', {
         settings: {},
         inAdBreak: () => false,
         isContentResuming: () => false,
+        policy: {
+          check: () => null,
+          apply: sinon.spy()
+        },
+        autoplay: {
+          check: () => null,
+          mute: sinon.spy(),
+          waitForClick: sinon.spy(),
+          whenDetected: (callback) => callback(),
+          cancelWait: () => {}
+        },
         _shouldBlockPlay: true
       },
       setTimeout: () => {},
@@ -82,6 +93,53 @@ QUnit.test('plays a preroll (adsready true)', function(assert) {
   assert.equal(this.newState, 'ContentPlayback', 'transitioned to ContentPlayback');
 });
 
+QUnit.test('plays content if the policy vetoes the preroll', function(assert) {
+  const decision = {action: 'veto', reason: 'maxPrerollsPerSession'};
+
+  this.player.ads.policy.check = () => decision;
+  this.player.paused = () => true;
+  this.player.ads._playRequested = true;
+  this.preroll.init(this.player, true);
+
+  assert.deepEqual(this.events, [], 'no readyforpreroll');
+  assert.ok(this.player.ads.policy.apply.calledWith('preroll', decision), 'applied the decision');
+  assert.equal(this.preroll.isContentResuming(), true, 'content resuming');
+  assert.equal(this.playTriggered, true, 'play triggered');
+});
+
+QUnit.test('mutes the preroll for the "muted" autoplay policy', function(assert) {
+  this.player.ads.settings.autoplayPolicy = 'muted';
+  this.player.ads.autoplay.check = () => 'muted';
+  this.preroll.init(this.player, true);
+
+  assert.equal(this.player.ads.autoplay.mute.callCount, 1, 'muted');
+  assert.equal(this.events[0], 'readyforpreroll', 'readyforpreroll');
+});
+
+QUnit.test('waits for a click for the "click" autoplay policy', function(assert) {
+  this.player.ads.settings.autoplayPolicy = 'click';
+  this.player.ads.autoplay.check = () => 'click';
+  this.preroll.init(this.player, true);
+
+  assert.deepEqual(this.events, [], 'no readyforpreroll yet');
+  assert.notOk(this.player.hasClass('vjs-ad-loading'), 'no spinner while waiting');
+  assert.equal(this.preroll._timeout, null, 'no timeout while waiting');
+
+  this.player.ads.autoplay.waitForClick.firstCall.args[0]();
+
+  assert.equal(this.events[0], 'readyforpreroll', 'readyforpreroll after the click');
+  assert.ok(this.player.hasClass('vjs-ad-loading'), 'spinner after the click');
+});
+
+QUnit.test('plays content for the "skip" autoplay policy', function(assert) {
+  this.player.ads.settings.autoplayPolicy = 'skip';
+  this.player.ads.autoplay.check = () => 'skip';
+  this.preroll.init(this.player, true);
+
+  assert.deepEqual(this.events, [], 'no readyforpreroll');
+  assert.equal(this.preroll.isContentResuming(), true, 'content resuming');
+});
+
 QUnit.test('plays a preroll (adsready false)', function(assert) {
   this.preroll.init(this.player, false);
   assert.equal(this.preroll.adsReady, false, 'not adsReady yet');
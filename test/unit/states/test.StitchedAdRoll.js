@@ -48,7 +48,10 @@ QUnit.test('adended during ad break leaves linear ad mode and re-triggers ended'
 
   this.adroll.init();
   this.adroll.onAdEnded();
-  assert.ok(this.player.trigger.calledOnce, 'the player fired one event');
-  assert.ok(this.player.trigger.calledWith('ended'), 'the event it fired was ended');
+  assert.ok(this.player.trigger.calledWith('ended'), 'the player fired ended');
+  assert.strictEqual(
+    this.player.trigger.withArgs('ended').callCount, 1,
+    'the player fired ended once'
+  );
   assert.ok(this.adroll.endLinearAdMode.calledOnce, 'the ad roll called endLinearAdMode');
 });
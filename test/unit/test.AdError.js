@@ -0,0 +1,119 @@
+import QUnit from 'qunit';
+import AdError from '../../src/AdError.js';
+
+QUnit.module('AdError', {
+  beforeEach() {
+    this.inAdBreak = false;
+    this.exhausted = false;
+
+    this.player = {
+      ads: {
+        settings: {},
+        adType: null,
+        ad: null,
+        inAdBreak: () => this.inAdBreak,
+        _state: {
+          constructor: {
+            _getName: () => 'Preroll'
+          }
+        },
+        pod: {
+          count: () => 2,
+          isExhausted: () => this.exhausted
+        }
+      }
+    };
+  }
+});
+
+QUnit.test('is an Error', function(assert) {
+  const error = AdError.fromEvent(this.player, {type: 'adserror'});
+
+  assert.ok(error instanceof AdError, 'AdError');
+  assert.ok(error instanceof Error, 'Error');
+  assert.strictEqual(error.name, 'AdError', 'name');
+  assert.strictEqual(String(error), 'AdError 900 (request): An ad error occurred', 'string');
+});
+
+QUnit.test('uses the code, message and phase of the event', function(assert) {
+  const error = AdError.fromEvent(this.player, {
+    type: 'adserror',
+    code: 301,
+    message: 'Wrapper timeout',
+    phase: 'load'
+  });
+
+  assert.strictEqual(error.code, 301, 'code');
+  assert.strictEqual(error.message, 'Wrapper timeout', 'message');
+  assert.strictEqual(error.phase, 'load', 'phase');
+  assert.strictEqual(error.type, 'adserror', 'type');
+});
+
+QUnit.test('uses the message of an error in the event', function(assert) {
+  const cause = new Error('Network error');
+  const error = AdError.fromEvent(this.player, {type: 'adserror', error: cause});
+
+  assert.strictEqual(error.message, 'Network error', 'message');
+  assert.strictEqual(error.cause, cause, 'cause');
+});
+
+QUnit.test('derives the phase and code', function(assert) {
+  assert.strictEqual(AdError.fromEvent(this.player, {type: 'adtimeout'}).phase, 'timeout', 'timeout');
+  assert.strictEqual(AdError.fromEvent(this.player, {type: 'adscanceled'}).phase, 'request', 'canceled');
+
+  this.inAdBreak = true;
+
+  let error = AdError.fromEvent(this.player, {type: 'adserror'});
+
+  assert.strictEqual(error.phase, 'load', 'before the ad started');
+  assert.strictEqual(error.code, 400, 'general linear error');
+
+  this.player.ads.ad = {id: 'a', index: 1};
+  error = AdError.fromEvent(this.player, {type: 'adserror'});
+
+  assert.strictEqual(error.phase, 'playback', 'after the ad started');
+  assert.strictEqual(error.code, 405, 'problem displaying the media file');
+});
+
+QUnit.test('has the ad and ad break context', function(assert) {
+  this.inAdBreak = true;
+  this.player.ads.adType = 'preroll';
+  this.player.ads.ad = {id: 'a', index: 1};
+
+  assert.deepEqual(AdError.fromEvent(this.player, {type: 'adserror'}).context, {
+    state: 'Preroll',
+    adType: 'preroll',
+    inAdBreak: true,
+    adId: 'a',
+    adIndex: 1,
+    podCount: 2
+  }, 'context');
+});
+
+QUnit.test('is fatal unless the ad break continues', function(assert) {
+  assert.ok(AdError.fromEvent(this.player, {type: 'adtimeout'}).isFatal, 'timeout');
+  assert.ok(AdError.fromEvent(this.player, {type: 'adserror'}).isFatal, 'before the ad break');
+
+  this.inAdBreak = true;
+  assert.ok(AdError.fromEvent(this.player, {type: 'adserror'}).isFatal, 'ends the ad break');
+  assert.notOk(
+    AdError.fromEvent(this.player, {type: 'adserror', continueBreak: true}).isFatal,
+    'the ad break continues'
+  );
+
+  this.exhausted = true;
+  assert.ok(
+    AdError.fromEvent(this.player, {type: 'adserror', continueBreak: true}).isFatal,
+    'no more ads'
+  );
+  assert.notOk(
+    AdError.fromEvent(this.player, {type: 'adserror', isFatal: false}).isFatal,
+    'from the event'
+  );
+});
+
+QUnit.test('keeps an AdError given in the event', function(assert) {
+  const adError = AdError.fromEvent(this.player, {type: 'adserror', code: 303});
+
+  assert.strictEqual(AdError.fromEvent(this.player, {type: 'adserror', adError}), adError, 'same error');
+});
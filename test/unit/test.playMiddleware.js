@@ -241,5 +241,123 @@ QUnit.module('Play Middleware', {}, function() {
     );
   });
 
+  QUnit.module('Ad transitions', {
+    beforeEach() {
+      this.videojs = videojs.mergeOptions({}, baseMockedVjsIsSupported);
+      pm.testHook(this.videojs);
+
+      this.state = {inAdMode: false, waiting: false, resuming: false, inAdBreak: false};
+      this.listeners = {};
+
+      // Stub the player
+      this.player = {
+        ads: {
+          settings: {},
+          _middlewareBypassed: false,
+          debug: () => {},
+          isInAdMode: () => this.state.inAdMode,
+          isWaitingForAdBreak: () => this.state.waiting,
+          isContentResuming: () => this.state.resuming,
+          inAdBreak: () => this.state.inAdBreak
+        },
+        trigger: sinon.spy(),
+        tech: () => ({
+          currentTime: () => 5
+        }),
+        on: (type, fn) => {
+          this.listeners[type] = fn;
+        },
+        off: (type) => {
+          delete this.listeners[type];
+        }
+      };
+
+      this.m = pm.playMiddleware(this.player);
+    },
+    afterEach() {
+      this.videojs = null;
+    }
+  });
+
+  QUnit.test('playMiddleware blocks seeks while waiting for a preroll', function(assert) {
+    assert.strictEqual(this.m.setCurrentTime(30), 30, 'seeks during content are not blocked');
+
+    this.state.inAdMode = true;
+    this.state.waiting = true;
+    assert.strictEqual(this.m.setCurrentTime(30), 5, 'the seek is blocked');
+    assert.ok(
+      this.player.trigger.calledWith({type: 'adseekblocked', time: 30}),
+      'adseekblocked is triggered'
+    );
+
+    this.player.ads._middlewareBypassed = true;
+    assert.strictEqual(this.m.setCurrentTime(30), 30, 'seeks by contrib-ads are not blocked');
+  });
+
+  QUnit.test('playMiddleware blocks pauses while content resumes', function(assert) {
+    assert.strictEqual(this.m.callPause(), undefined, 'pauses during content are not blocked');
+
+    this.state.inAdMode = true;
+    this.state.resuming = true;
+    assert.strictEqual(
+      this.m.callPause(), this.videojs.middleware.TERMINATOR,
+      'callPause returns terminator'
+    );
+  });
+
+  QUnit.test('playMiddleware sends play and pause to the ad element during ad breaks', function(assert) {
+    this.player.ads.adElement = {play: sinon.spy(), pause: sinon.spy()};
+    assert.strictEqual(this.m.callPlay(), undefined, 'play during content is not sent');
+
+    this.state.inAdMode = true;
+    this.state.inAdBreak = true;
+    assert.strictEqual(this.m.callPlay(), this.videojs.middleware.TERMINATOR, 'callPlay returns terminator');
+    assert.strictEqual(this.player.ads.adElement.play.callCount, 1, 'the ad plays');
+    assert.strictEqual(this.m.callPause(), this.videojs.middleware.TERMINATOR, 'callPause returns terminator');
+    assert.strictEqual(this.player.ads.adElement.pause.callCount, 1, 'the ad pauses');
+
+    this.player.ads._middlewareBypassed = true;
+    assert.strictEqual(this.m.callPause(), undefined, 'pauses by contrib-ads pause content');
+  });
+
+  QUnit.test('playMiddleware does not block players without this plugin', function(assert) {
+    delete this.player.ads.settings;
+    this.state.inAdMode = true;
+    this.state.waiting = true;
+
+    assert.strictEqual(this.m.setCurrentTime(30), 30, 'seek is not blocked');
+    assert.strictEqual(this.m.callPause(), undefined, 'pause is not blocked');
+  });
+
+  QUnit.test('playMiddleware delays source changes until content has resumed', function(assert) {
+    const next = sinon.spy();
+    const src = {src: 'http://example.com/next.mp4'};
+
+    this.state.inAdMode = true;
+    this.state.resuming = true;
+    this.m.setSource(src, next);
+    assert.strictEqual(next.callCount, 0, 'the source is not set yet');
+
+    this.listeners.adstatechange();
+    assert.strictEqual(next.callCount, 0, 'still resuming');
+
+    this.state.resuming = false;
+    this.listeners.adstatechange();
+    assert.ok(next.calledWith(null, src), 'the source is set');
+    assert.notOk(this.listeners.adstatechange, 'stopped listening');
+  });
+
+  QUnit.test('playMiddleware lets the snapshot restore the content source', function(assert) {
+    const next = sinon.spy();
+    const src = {src: 'http://example.com/content.mp4'};
+
+    this.player.ads.snapshot = {sources: [{src: 'http://example.com/content.mp4'}]};
+    this.state.inAdMode = true;
+    this.state.resuming = true;
+    this.m.setSource(src, next);
+
+    assert.ok(next.calledWith(null, src), 'the source is set');
+  });
+
 });
 
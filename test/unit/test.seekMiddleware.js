@@ -0,0 +1,63 @@
+import seekMiddleware from '../../src/seekMiddleware.js';
+import QUnit from 'qunit';
+import sinon from 'sinon';
+
+QUnit.module('Seek Middleware', {
+  beforeEach() {
+    this.inAdBreak = false;
+    this.player = {
+      ads: {
+        settings: {},
+        debug: () => {},
+        inAdBreak: () => this.inAdBreak
+      },
+      trigger: sinon.spy(),
+      tech: () => ({
+        currentTime: () => 5
+      })
+    };
+    this.mw = seekMiddleware(this.player);
+  }
+});
+
+QUnit.test('passes the source through', function(assert) {
+  const next = sinon.spy();
+  const src = {src: 'http://example.com/video.mp4'};
+
+  this.mw.setSource(src, next);
+  assert.ok(next.calledWith(null, src), 'next called with the source');
+});
+
+QUnit.test('does not block seeks outside of ad breaks', function(assert) {
+  assert.strictEqual(this.mw.setCurrentTime(30), 30, 'time is unchanged');
+  assert.strictEqual(this.player.trigger.callCount, 0, 'no event');
+});
+
+QUnit.test('blocks seeks during ad breaks', function(assert) {
+  this.inAdBreak = true;
+
+  assert.strictEqual(this.mw.setCurrentTime(30), 5, 'stays at the current time');
+  assert.ok(this.player.trigger.calledWith({type: 'adseekblocked', time: 30}), 'adseekblocked');
+});
+
+QUnit.test('lets seeks through if the ad plugin allows it', function(assert) {
+  this.inAdBreak = true;
+  this.player.ads.settings.allowSeekingDuringAds = true;
+
+  assert.strictEqual(this.mw.setCurrentTime(30), 30, 'time is unchanged');
+  assert.strictEqual(this.player.trigger.callCount, 0, 'no event');
+});
+
+QUnit.test('lets seeks through that bypass the middleware', function(assert) {
+  this.inAdBreak = true;
+  this.player.ads._middlewareBypassed = true;
+
+  assert.strictEqual(this.mw.setCurrentTime(30), 30, 'time is unchanged');
+  assert.strictEqual(this.player.trigger.callCount, 0, 'no event');
+});
+
+QUnit.test('does nothing for players without ads', function(assert) {
+  delete this.player.ads;
+
+  assert.strictEqual(this.mw.setCurrentTime(30), 30, 'time is unchanged');
+});
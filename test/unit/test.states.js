@@ -0,0 +1,129 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import States from '../../src/states.js';
+import '../../src/plugin.js';
+
+QUnit.module('States', {
+  beforeEach() {
+    this.states = {};
+    Object.keys(States.states_).forEach((name) => {
+      this.states[name] = States.states_[name];
+    });
+  },
+  afterEach() {
+    States.states_ = this.states;
+  }
+});
+
+QUnit.test('the built-in states are valid', function(assert) {
+  assert.deepEqual(States.validate(), []);
+});
+
+QUnit.test('flags transitions to states that are not registered', function(assert) {
+  const ContentPlayback = States.getState('ContentPlayback');
+
+  class CustomContentPlayback extends ContentPlayback {
+    static _getTransitions() {
+      return super._getTransitions().concat(['Interstitial']);
+    }
+  }
+
+  States.registerState('ContentPlayback', CustomContentPlayback);
+
+  assert.deepEqual(States.validate(), [
+    'Illegal transition ContentPlayback -> Interstitial: Interstitial is not a registered state'
+  ]);
+});
+
+QUnit.test('flags states that can not be reached', function(assert) {
+  const Preroll = States.getState('Preroll');
+
+  // A preroll that never resumes content
+  class CustomPreroll extends Preroll {
+    static _getTransitions() {
+      return [];
+    }
+  }
+
+  States.registerState('Preroll', CustomPreroll);
+
+  // Registration order depends on the order modules are loaded in
+  assert.deepEqual(States.validate().sort(), [
+    'AdsDone can not be reached from BeforePreroll or StitchedContentPlayback',
+    'ContentPlayback can not be reached from BeforePreroll or StitchedContentPlayback',
+    'Midroll can not be reached from BeforePreroll or StitchedContentPlayback',
+    'Postroll can not be reached from BeforePreroll or StitchedContentPlayback'
+  ]);
+});
+
+QUnit.test('flags declared events without a handler', function(assert) {
+  const Midroll = States.getState('Midroll');
+
+  class CustomMidroll extends Midroll {
+    static _getHandledEvents() {
+      return super._getHandledEvents().concat(['nopostroll', 'adbreakready']);
+    }
+  }
+
+  States.registerState('Midroll', CustomMidroll);
+
+  assert.deepEqual(States.validate(), [
+    'Midroll declares nopostroll but does not implement onNoPostroll',
+    'Midroll declares unknown event adbreakready'
+  ]);
+});
+
+QUnit.test('warns about declared events without a handler on registration', function(assert) {
+  const Midroll = States.getState('Midroll');
+  const warnStub = sinon.stub(videojs.log, 'warn');
+
+  class CustomMidroll extends Midroll {
+    static _getHandledEvents() {
+      return super._getHandledEvents().concat(['nopostroll']);
+    }
+  }
+
+  States.registerState('Midroll', CustomMidroll);
+  warnStub.restore();
+
+  assert.strictEqual(warnStub.callCount, 1, 'warned once');
+  assert.ok(
+    warnStub.calledWith('State validation: Midroll declares nopostroll but does not implement onNoPostroll'),
+    'warned about the event'
+  );
+});
+
+QUnit.test('registers profiles', function(assert) {
+  const profile = {Preroll: {}};
+
+  assert.strictEqual(States.registerProfile('custom', profile), profile, 'returns the profile');
+  assert.strictEqual(States.getProfile('custom'), profile, 'gets the profile');
+  assert.strictEqual(States.getProfile('missing'), undefined, 'unknown profile');
+  assert.throws(() => States.registerProfile('', profile), /Illegal profile name/);
+});
+
+QUnit.test('gets and validates the states of a player', function(assert) {
+  const Preroll = States.getState('Preroll');
+
+  class CustomPreroll extends Preroll {
+    static _getTransitions() {
+      return ['Interstitial'];
+    }
+  }
+
+  const player = {ads: {_states: {Preroll: CustomPreroll}}};
+
+  assert.strictEqual(States.getState('Preroll', player), CustomPreroll, 'the player state');
+  assert.strictEqual(States.getState('Preroll'), Preroll, 'the registered state');
+  assert.strictEqual(
+    States.getState('Midroll', player), States.getState('Midroll'),
+    'other states are the registered ones'
+  );
+  assert.deepEqual(States.validate(), [], 'registered states are valid');
+
+  const problem = 'Illegal transition Preroll -> Interstitial: ' +
+    'Interstitial is not a registered state';
+
+  assert.ok(States.validate(player).indexOf(problem) !== -1, 'player states are validated');
+});